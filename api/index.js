@@ -1,10 +1,12 @@
 const { app } = require("../src/express");
-const { version } = require("./version");
+const { checkKeyring } = require("../src/keyring");
 
 if (process.env.VERCEL === "1") {
-  app.get("/api/health", (rq, rs) => {
-    rs.send("OK [VERCEL] " + version);
-  });
+  // Can't refuse to start here, so the app answers 503 (see express.js)
+  const keyStatus = checkKeyring();
+  if (!keyStatus.ok) {
+    console.error("Bad server key: " + keyStatus.problems.join(", "));
+  }
 
   module.exports = app;
 }
@@ -1,15 +1,14 @@
 const { app } = require("./src/express");
-const { version } = require("./api/version");
+const { checkKeyring } = require("./src/keyring");
 
 if (process.env.VERCEL !== "1") {
   // only if not in vercel
-  app.get("/api/health", (rq, rs) => {
-    rs.send("OK [express] " + version);
-  });
-
-  app.get("/", (rq, rs) => {
-    rs.send("Home [express] " + version);
-  });
+  const keyStatus = checkKeyring();
+  if (!keyStatus.ok) {
+    console.error("Refusing to start, bad server key:");
+    keyStatus.problems.forEach((e) => console.error(" - " + e));
+    process.exit(1);
+  }
 
   var listener = app.listen(8080, function () {
     console.log("Listening on port " + listener.address().port);
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+// timelock - lock passwords from the command line, with the client in
+//    client/timelock.js. Vaults (salts, enckeys, open windows) are kept as
+//    JSON files in --dir, token proofs are only printed, never kept.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createClient, waitUntil } = require("../client/timelock");
+
+const USAGE = `Usage: timelock <command> [options]
+
+  setup [times...]           Make tokens (default 15m 30m 3h 2d), prints
+                             their proofs: keep them away from yourself
+  lock <password|->          Lock a password ("-" reads it from stdin)
+  unlock begin --proof <p>   Start waiting for an unlock
+  unlock finish [--wait]     Get the password, --wait for the window first
+  temp begin --proof <p>     Prove you have the token now
+  temp fastcopy              Short proof to copy to another device
+  temp unlock --mindiff <m> --fastproof <f>
+                             Start waiting with a fast copy proof
+  status                     Show the vault and the server
+
+Options:
+  --vault <name>     Vault file to use (default "default")
+  --dir <path>       Where vaults are kept (TIMELOCK_DIR, ~/.timelock)
+  --server <url>     Server (TIMELOCK_SERVER, http://localhost:8080)
+  --local            Run the server in this process (needs KEY\\KEYS)
+  --token <name>     Token of the vault to use, if it has more than one
+  --duration <min>   Unlock window length (default 15)
+  --offset <min>     Minutes to wait on top of the token (default 0)
+  --single-use       Unlock proof works once (needs server state)
+  --minlock <time>   Min lock for "lock", on top of the token time
+  --schedule <text>  Unlock schedule for "lock", like "daily 18:00-22:00"
+`;
+
+const FLAGS = ["local", "wait", "single-use", "help"];
+
+// ["a", "--x", "1", "--local"] => {args: ["a"], options: {x: "1", local: true}}
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      args.push(argv[i]);
+    } else if (match[2] !== undefined || FLAGS.includes(match[1])) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      options[match[1]] = argv[++i];
+    }
+  }
+  return { args, options };
+}
+
+function vaultPath(options) {
+  const dir =
+    options.dir ||
+    process.env.TIMELOCK_DIR ||
+    path.join(os.homedir(), ".timelock");
+  const name = options.vault || "default";
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Bad vault name: '${name}'`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+function readVault(options) {
+  const file = vaultPath(options);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No vault '${options.vault || "default"}', run setup`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeVault(options, vault) {
+  const file = vaultPath(options);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(vault, null, 2) + "\n", {
+    mode: 0o600
+  });
+}
+
+// The token of the vault to use, by --token or the only one
+function pickToken(vault, options) {
+  const tokens = vault.tokens.filter(
+    (e) => !options.token || e.name === options.token
+  );
+  if (tokens.length !== 1) {
+    throw new Error(
+      `Pick a token with --token: ${vault.tokens.map((e) => e.name).join(", ")}`
+    );
+  }
+  if (!tokens[0].enckey) {
+    throw new Error("Nothing locked in this vault yet, run lock");
+  }
+  return tokens[0];
+}
+
+function need(options, name) {
+  if (options[name] === undefined || options[name] === true) {
+    throw new Error(`Missing --${name}`);
+  }
+  return options[name];
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (e) => (data += e));
+    process.stdin.on("end", () => resolve(data.replace(/\r?\n$/, "")));
+    process.stdin.on("error", reject);
+  });
+}
+
+// Only results go to stdout, so they can be piped
+function print(obj) {
+  process.stdout.write(JSON.stringify(obj, null, 2) + "\n");
+}
+
+function windowStatus({ from, to }, now = Date.now()) {
+  if (now < from) return `opens in ${Math.ceil((from - now) / 1000)}s`;
+  if (now < to) return `open for ${Math.floor((to - now) / 1000)}s`;
+  return "closed";
+}
+
+const commands = {
+  setup: async (client, args, options) => {
+    const file = vaultPath(options);
+    if (fs.existsSync(file)) {
+      throw new Error(`Vault '${options.vault || "default"}' already exists`);
+    }
+    const { tokens } = await client.setup(args.length > 0 ? args : undefined);
+    writeVault(options, {
+      server: options.local ? null : client.server,
+      tokens: tokens.map(({ name, salt }) => ({ name, salt }))
+    });
+    print({
+      vault: file,
+      proofs: tokens.map(({ name, proof }) => ({ name, proof }))
+    });
+  },
+
+  lock: async (client, args, options) => {
+    const vault = readVault(options);
+    const password = args[0] === "-" ? await readStdin() : args[0];
+    if (!password) throw new Error("Missing password");
+
+    const locked = await client.lock(password, vault.tokens, {
+      ...(options.minlock ? { minlock: options.minlock } : {}),
+      ...(options.schedule ? { schedule: options.schedule } : {})
+    });
+    writeVault(options, { ...vault, tokens: locked });
+    print({ locked: locked.map((e) => e.name) });
+  },
+
+  "unlock begin": async (client, args, options) => {
+    const vault = readVault(options);
+    const token = pickToken(vault, options);
+    const window = await client.unlockBegin({
+      enckey: token.enckey,
+      token: token.name,
+      salt: token.salt,
+      tokenproof: need(options, "proof"),
+      offsetstartmin: options.offset || 0,
+      duration: options.duration || 15,
+      ...(options["single-use"] ? { singleuse: true } : {})
+    });
+    writeVault(options, { ...vault, window: { token: token.name, ...window } });
+    print({ ...window, status: windowStatus(window) });
+  },
+
+  "unlock finish": async (client, args, options) => {
+    const vault = readVault(options);
+    if (!vault.window) throw new Error("No unlock window, run unlock begin");
+    const token = pickToken(vault, { token: vault.window.token });
+    if (options.wait) await waitUntil(vault.window.from);
+
+    const { from, to, proof } = vault.window;
+    print(
+      await client.unlockFinish({
+        enckey: token.enckey,
+        salt: token.salt,
+        from,
+        to,
+        proof
+      })
+    );
+  },
+
+  "temp begin": async (client, args, options) => {
+    const vault = readVault(options);
+    const token = pickToken(vault, options);
+    const temp = await client.temp.begin(token, need(options, "proof"));
+    writeVault(options, { ...vault, temp: { token: token.name, ...temp } });
+    print(temp);
+  },
+
+  "temp fastcopy": async (client, args, options) => {
+    const vault = readVault(options);
+    if (!vault.temp) throw new Error("No temp proof, run temp begin");
+    const token = pickToken(vault, { token: vault.temp.token });
+    print(await client.temp.fastcopy(token, vault.temp));
+  },
+
+  "temp unlock": async (client, args, options) => {
+    const vault = readVault(options);
+    const token = pickToken(vault, options);
+    const window = await client.temp.unlock(
+      token,
+      {
+        mindiff: need(options, "mindiff"),
+        fastproof: need(options, "fastproof")
+      },
+      options.duration || 15
+    );
+    writeVault(options, { ...vault, window: { token: token.name, ...window } });
+    print({ ...window, status: windowStatus(window) });
+  },
+
+  status: async (client, args, options) => {
+    const vault = readVault(options);
+    let server;
+    try {
+      server = await client.health();
+    } catch (e) {
+      server = `unreachable: ${e.message}`;
+    }
+    print({
+      vault: vaultPath(options),
+      server: server,
+      tokens: vault.tokens.map((e) => ({
+        name: e.name,
+        locked: !!e.enckey
+      })),
+      ...(vault.window
+        ? {
+            window: {
+              token: vault.window.token,
+              from: new Date(vault.window.from).toISOString(),
+              to: new Date(vault.window.to).toISOString(),
+              status: windowStatus(vault.window)
+            }
+          }
+        : {}),
+      ...(vault.temp
+        ? {
+            temp: {
+              token: vault.temp.token,
+              from: new Date(vault.temp.from).toISOString()
+            }
+          }
+        : {})
+    });
+  }
+};
+
+// --local runs src/express.js on a random port, only for this command
+async function startLocalServer() {
+  const { checkKeyring } = require("../src/keyring");
+  const keyStatus = checkKeyring();
+  if (!keyStatus.ok) {
+    throw new Error("Bad server key: " + keyStatus.problems.join(", "));
+  }
+  // Server logs to stderr, stdout is for the results
+  process.env.LOG_REQUESTS = "0";
+  console.log = console.error;
+  const { app } = require("../src/express");
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => server.close()
+  };
+}
+
+async function main(argv) {
+  const { args, options } = parseArgs(argv);
+  const twoWords = `${args[0]} ${args[1]}`;
+  const name = commands[twoWords] ? twoWords : args[0];
+  if (options.help || !commands[name]) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  let vaultServer = null;
+  if (name !== "setup" && fs.existsSync(vaultPath(options))) {
+    vaultServer = readVault(options).server;
+  }
+  const local = options.local ? await startLocalServer() : null;
+  const server = local
+    ? local.url
+    : options.server ||
+      vaultServer ||
+      process.env.TIMELOCK_SERVER ||
+      "http://localhost:8080";
+
+  try {
+    const client = { ...createClient({ baseURL: server }), server };
+    await commands[name](client, args.slice(name.split(" ").length), options);
+    return 0;
+  } finally {
+    if (local) local.close();
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => (process.exitCode = code),
+  (e) => {
+    console.error(
+      e.code ? `error ${e.code}: ${e.message}` : `error: ${e.message}`
+    );
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,260 @@
+// Client for a 123timelock server, for node (18+, or pass `fetch`) and
+//    browsers (<script src="/api/client.js"> => window.Timelock).
+//
+//    const { createClient } = require("./client/timelock");
+//    const timelock = createClient({ baseURL: "https://my-server" });
+//    const { tokens } = await timelock.setup(["3h"]);
+//    const [vault] = await timelock.lock("my password", tokens);
+//    // ...later, with the token proof you printed:
+//    const { pass } = await timelock.unlock(vault, tokenproof);
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Timelock = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /**
+   * @typedef {{name: string, salt: string, proof: string}} Token
+   * @typedef {{name: string, salt: string, enckey: string}} Vault
+   * @typedef {{from: number, to: number, proof: string, usesLeft?: number}} UnlockWindow
+   * @typedef {{pass: string, timeLeftOpen: string, hashstep?: string,
+   *    unlocks?: number, usesLeft?: number}} Unlocked
+   * @typedef {{from: number, tempproof: string}} TempProof
+   * @typedef {{mindiff: string, fastproof: string}} FastProof
+   */
+
+  // Same as toSafeURL\fromSafeURL in src/utils.js, enckeys and capsules
+  function toSafeURL(text) {
+    return text.replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "~");
+  }
+
+  function fromSafeURL(text) {
+    return text.replace(/-/g, "+").replace(/_/g, "/").replace(/~/g, "=");
+  }
+
+  // Same as in src/core.js, hash secrets of the otp-step mode
+  function makeSafeB64_32(b64string) {
+    return (b64string || "")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=/g, ".");
+  }
+
+  function undoSafeB64_32(b64string) {
+    return (b64string || "")
+      .replace(/-/g, "+")
+      .replace(/_/g, "/")
+      .replace(/\./g, "=");
+  }
+
+  // Error of a route: code is stable (see the README), message is for people
+  class TimelockError extends Error {
+    constructor(message, { code = null, status = 0, details = {} } = {}) {
+      super(message);
+      this.name = "TimelockError";
+      this.code = code;
+      this.status = status;
+      this.details = details;
+    }
+  }
+
+  // setTimeout can't wait more than ~24 days at once
+  const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+  function sleep(ms) {
+    return new Promise((resolve) =>
+      setTimeout(resolve, Math.max(Math.min(ms, MAX_TIMEOUT_MS), 0))
+    );
+  }
+
+  async function waitUntil(time, { now = Date.now, margin = 1000 } = {}) {
+    while (now() < time + margin) {
+      await sleep(time + margin - now());
+    }
+  }
+
+  function createClient({ baseURL = "", fetch: fetchImpl } = {}) {
+    const doFetch = fetchImpl || (typeof fetch === "function" && fetch);
+    if (!doFetch) {
+      throw new Error("No fetch, pass one to createClient({fetch})");
+    }
+    const base = baseURL.replace(/\/+$/, "");
+
+    async function request(method, route, body) {
+      const resp = await doFetch(base + route, {
+        method,
+        headers: {
+          "content-type": "application/json",
+          "x-error-format": "v2"
+        },
+        ...(body ? { body: JSON.stringify(body) } : {})
+      });
+      const text = await resp.text();
+      let result = text;
+      try {
+        result = JSON.parse(text);
+      } catch (e) {}
+
+      if (result && result.error) {
+        throw new TimelockError(result.error.message, {
+          code: result.error.code,
+          status: resp.status,
+          details: result.error.details
+        });
+      }
+      // Old servers answer 200 {err}
+      if (result && result.err) {
+        throw new TimelockError(result.err, { status: resp.status });
+      }
+      if (!resp.ok) {
+        throw new TimelockError(`${route} answered ${resp.status}`, {
+          status: resp.status
+        });
+      }
+      return result;
+    }
+    const post = (route, body) => request("POST", route, body);
+
+    const withSafeKey = (body) => ({ ...body, enckey: toSafeURL(body.enckey) });
+
+    const client = {
+      /** @returns {Promise<{tokens: Token[], salt: string}>} */
+      setup: (times, options = {}) =>
+        post("/api/setup", { ...(times ? { time: times } : {}), ...options }),
+
+      // options: tokens, minlock, maxunlocks, per, mingap, schedule
+      /** @returns {Promise<{enckey: string[]}>} */
+      enc: (pass, salts, options = {}) =>
+        post("/api/enc", { pass, salts, ...options }),
+
+      /** @returns {Promise<Vault[]>} one vault for each token */
+      lock: async (pass, tokens, options = {}) => {
+        const { enckey } = await client.enc(
+          pass,
+          tokens.map((e) => e.salt),
+          { tokens: tokens.map((e) => e.name), ...options }
+        );
+        return tokens.map((e, i) => ({
+          name: e.name,
+          salt: e.salt,
+          enckey: enckey[i]
+        }));
+      },
+
+      /** @returns {Promise<{encparts: string[]}>} */
+      enchash: (pass, hashparts) => post("/api/enchash", { pass, hashparts }),
+
+      /** @returns {Promise<UnlockWindow>} */
+      unlockBegin: ({ offsetstartmin = 0, duration = 15, ...body }) =>
+        post(
+          "/api/unlock/begin",
+          withSafeKey({ offsetstartmin, duration, ...body })
+        ),
+
+      /** @returns {Promise<Unlocked>} */
+      unlockFinish: (body) =>
+        post(
+          "/api/unlock/finish",
+          withSafeKey({
+            ...body,
+            ...(body.mode === "otp-step"
+              ? { hashsecret: makeSafeB64_32(body.hashsecret) }
+              : {})
+          })
+        ),
+
+      // begin, wait for the window, finish. Can take as long as the token.
+      /** @returns {Promise<Unlocked>} */
+      unlock: async (vault, tokenproof, options = {}) => {
+        const { finish = {}, ...begin } = options;
+        const window = await client.unlockBegin({
+          enckey: vault.enckey,
+          token: vault.name,
+          salt: vault.salt,
+          tokenproof,
+          ...begin
+        });
+        await waitUntil(window.from);
+        return client.unlockFinish({
+          enckey: vault.enckey,
+          salt: vault.salt,
+          from: window.from,
+          to: window.to,
+          proof: window.proof,
+          ...finish
+        });
+      },
+
+      /** @returns {Promise<{canceled: number, cancelproof: string, revoked: boolean}>} */
+      cancel: (body) => post("/api/unlock/cancel", withSafeKey(body)),
+
+      /** @returns {Promise<{valid: boolean}>} */
+      cancelCheck: (body) => post("/api/unlock/cancel/check", body),
+
+      /** @returns {Promise<{enckey: string[], unlocks?: number, usesLeft?: number}>} */
+      rewrap: (body) => post("/api/rewrap", withSafeKey(body)),
+
+      /** @returns {Promise<{enckey: string, minlock: string}>} */
+      extendLock: (enckey, minlock) =>
+        post("/api/lock/extend", withSafeKey({ enckey, minlock })),
+
+      temp: {
+        /** @returns {Promise<TempProof>} */
+        begin: (vault, tokenproof) =>
+          post("/api/temp/begin", {
+            token: vault.name,
+            salt: vault.salt,
+            tokenproof
+          }),
+
+        /** @returns {Promise<FastProof>} */
+        fastcopy: (vault, { from, tempproof }) =>
+          post("/api/temp/fastcopy", {
+            token: vault.name,
+            salt: vault.salt,
+            from,
+            tempproof
+          }),
+
+        /** @returns {Promise<UnlockWindow>} */
+        unlock: (vault, { mindiff, fastproof }, duration = 15) =>
+          post("/api/temp/unlock", {
+            token: vault.name,
+            salt: vault.salt,
+            enckey: toSafeURL(vault.enckey),
+            mindiff,
+            fastproof,
+            duration
+          })
+      },
+
+      capsule: {
+        /** @returns {Promise<{capsule: string, until: number}>} */
+        create: (pass, until) =>
+          post("/api/capsule/create", {
+            pass,
+            until: until instanceof Date ? until.getTime() : until
+          }),
+
+        /** @returns {Promise<{pass: string, openedAfter: string}>} */
+        open: (capsule) =>
+          post("/api/capsule/open", { capsule: toSafeURL(capsule) })
+      },
+
+      health: () => request("GET", "/api/health"),
+      keys: () => request("GET", "/api/health/keys"),
+      openapi: () => request("GET", "/api/openapi.json")
+    };
+    return client;
+  }
+
+  return {
+    createClient,
+    TimelockError,
+    waitUntil,
+    toSafeURL,
+    fromSafeURL,
+    makeSafeB64_32,
+    undoSafeB64_32
+  };
+});
@@ -0,0 +1,57 @@
+const {
+  parseUntil,
+  tokenTimeLimitsSec,
+  formatDurationSec
+} = require("./utils");
+const { encryptVault, decryptVault } = require("./crypto");
+const { apiError } = require("./errors");
+const prettyTime = require("pretty-ms");
+
+// Time capsule, a vault that opens by itself after a date, no begin\finish:
+//    the release date (r) is bound to the encrypted pass.
+//    Each one => result or {err}, `now` is the time (ms) to use
+
+function capsuleCreate(pass, until, now) {
+  const releaseTime = parseUntil(`until:${until}`);
+  if (!isFinite(releaseTime)) {
+    return apiError("DATE_INVALID", `Bad release date: '${until}'`);
+  }
+  // Same limit as the tokens of /setup, and never a capsule that can't open
+  const { max } = tokenTimeLimitsSec();
+  if (releaseTime - now > max * 1000) {
+    return apiError(
+      "DATE_INVALID",
+      `Release date '${until}' is more than ${formatDurationSec(max)} away`
+    );
+  }
+
+  return {
+    capsule: encryptVault({ p: pass, r: releaseTime }),
+    until: releaseTime
+  };
+}
+
+function capsuleOpen(capsule, now) {
+  const keyData = decryptVault(capsule);
+  if (!keyData || !keyData.r) {
+    return apiError("CAPSULE_INVALID", "Can't open capsule");
+  }
+
+  if (now < keyData.r) {
+    return apiError(
+      "CAPSULE_SEALED",
+      `Capsule still sealed!, Left: ${prettyTime(keyData.r - now)}`,
+      {
+        until: keyData.r,
+        secondsLeft: Math.ceil((keyData.r - now) / 1000)
+      }
+    );
+  }
+
+  return { pass: keyData.p, openedAfter: prettyTime(now - keyData.r) };
+}
+
+module.exports = {
+  capsuleCreate,
+  capsuleOpen
+};
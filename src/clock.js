@@ -0,0 +1,79 @@
+// Time of the server. Everything asks now() instead of Date.now(), so time
+//    can be frozen or moved in tests and dev (see /api/dev/clock) without
+//    waiting for real.
+//
+// The process clock is used by default, withClock() runs code with another
+//    one (like withKeyring(), see core.js)
+const { AsyncLocalStorage } = require("async_hooks");
+
+// {now, freeze, unfreeze, advance, set, reset, status}, real time until moved
+function createClock() {
+  let frozenAt = null;
+  let offset = 0;
+
+  const now = () => (frozenAt !== null ? frozenAt : Date.now() + offset);
+
+  const clock = {
+    now,
+    // Stops at this time (now by default) until unfreeze()\reset()
+    freeze: (at = now()) => {
+      frozenAt = at;
+      return clock.status();
+    },
+    // Runs again from where it stopped
+    unfreeze: () => {
+      if (frozenAt !== null) offset = frozenAt - Date.now();
+      frozenAt = null;
+      return clock.status();
+    },
+    // ms later (or earlier, if negative)
+    advance: (ms) => {
+      if (frozenAt !== null) frozenAt += ms;
+      else offset += ms;
+      return clock.status();
+    },
+    set: (at) => {
+      if (frozenAt !== null) frozenAt = at;
+      else offset = at - Date.now();
+      return clock.status();
+    },
+    reset: () => {
+      frozenAt = null;
+      offset = 0;
+      return clock.status();
+    },
+    status: () => ({
+      now: now(),
+      time: new Date(now()).toISOString(),
+      frozen: frozenAt !== null,
+      offset: now() - Date.now()
+    })
+  };
+  return clock;
+}
+
+const systemClock = { now: () => Date.now() };
+const processClock = createClock();
+const clockContext = new AsyncLocalStorage();
+
+// Runs fn (and everything async it starts) with this clock
+function withClock(clock, fn) {
+  return clockContext.run(clock, fn);
+}
+
+function activeClock() {
+  return clockContext.getStore() || processClock;
+}
+
+// => ms, of the active clock
+function now() {
+  return activeClock().now();
+}
+
+module.exports = {
+  createClock,
+  systemClock,
+  processClock,
+  withClock,
+  now
+};
@@ -0,0 +1,785 @@
+const {
+  toSafeURL,
+  fromSafeURL,
+  parseUntil,
+  parseTimeStrict,
+  parseMinLockSec,
+  canonicalTimeString,
+  tokenWaitSec
+} = require("./utils");
+const {
+  encryptVault,
+  decryptVault,
+  vaultMinWaitSec,
+  vaultLockedUntil,
+  keydecrypt,
+  keyencrypt,
+  genSalt,
+  genNonce,
+  isValidSalt,
+  legacyTokensAllowed,
+  getTimeToken,
+  getLegacyTimeToken,
+  getTimeEndedProof,
+  getCancelProof
+} = require("./crypto");
+const {
+  normalizeProof,
+  verifyTimeToken,
+  verifyTimeEndedProof,
+  verifyCancelProof
+} = require("./verify");
+const {
+  recordProof,
+  revokeProof,
+  isProofRevoked,
+  spendNonce,
+  getVaultWindows,
+  recordVaultWindow,
+  withVaultLock,
+  recordUnlock
+} = require("./proof-state");
+const {
+  parseSchedule,
+  inSchedule,
+  nextInSchedule,
+  fitWindowToVault
+} = require("./schedule");
+const {
+  parseUnlockPolicy,
+  checkUnlockPolicy,
+  policyMemoryMs
+} = require("./policy");
+const {
+  tempTokenBegin,
+  createFastCopyTempToken,
+  tempUnlockBegin
+} = require("./temp-token");
+const { capsuleCreate, capsuleOpen } = require("./capsule");
+const { storageEnabled } = require("./storage");
+const { apiError, TimelockError } = require("./errors");
+const { checkRequest } = require("./validate");
+const { hashStep } = require("./cryptolib/cryptoUtils");
+const { checkKeyring, createKeyring, withKeyring } = require("./keyring");
+const { processClock, withClock } = require("./clock");
+const prettyTime = require("pretty-ms");
+
+// The timelock engine without http, express.js is only a thin adapter:
+//
+//    const { createTimelock } = require("./src/core");
+//    const timelock = createTimelock({ keys: { KEYS: "1:<secret>" } });
+//    const { tokens } = await timelock.setup({ time: ["3h"] });
+//
+// Each flow takes the same body as its route (checked with schemas.js) and
+//    resolves with the same result, or rejects with a TimelockError (code,
+//    status, details). Options:
+//    clock - {now()} => ms, the time for all the flows, server state too
+//            (processClock of clock.js by default, see createClock())
+//    keys  - {KEY?, KEYS?} like the env, the server keys by default
+//    Server state (STORAGE) is shared by all of them.
+
+// {from,to,proof} unlock window about to be given out for this vault
+//    => the same, or {err} if the unlock policy of the vault says no.
+//    Kept in the server state (if on).
+async function issueUnlockWindow(enckey, salt, result, now) {
+  if (!result.proof) return result;
+  const window = { issued: now, from: result.from, to: result.to };
+
+  // Only if we can open it, if not finish will fail anyway
+  const keyData = decryptVault(enckey);
+  const policy = keyData && keyData.l;
+  if (policy) {
+    if (!storageEnabled()) {
+      return apiError(
+        "STATE_REQUIRED",
+        "Unlock policy of this vault needs server state"
+      );
+    }
+    // One policy for all the tokens the vault was locked with
+    const vault = keyData.v || salt;
+    const allowed = await withVaultLock(vault, async () => {
+      const { next } = checkUnlockPolicy(
+        policy,
+        await getVaultWindows(vault),
+        window,
+        now
+      );
+      if (next) {
+        return apiError(
+          "POLICY_LIMITED",
+          `Unlock policy, next unlock in ${prettyTime(next - now)}`,
+          { next: next, secondsLeft: Math.ceil((next - now) / 1000) }
+        );
+      }
+      await recordVaultWindow(
+        vault,
+        window,
+        policyMemoryMs(policy, window, now)
+      );
+      return {};
+    });
+    if (!allowed) {
+      return apiError("STATE_ERROR", "Vault is busy, try again later");
+    }
+    if (allowed.err) return allowed;
+  }
+
+  await recordProof(result.proof, window, new Date(result.to));
+  return result;
+}
+
+const safeB64Pairs = [
+  // Including premaid regexes
+  [
+    ["+", /\+/g],
+    ["-", /-/g]
+  ],
+  [
+    ["/", /\//g],
+    ["_", /_/g]
+  ],
+  [
+    ["=", /=/g],
+    [".", /\./g]
+  ]
+];
+
+function makeSafeB64_32(b64string) {
+  let result = b64string || "";
+  safeB64Pairs.forEach((p) => {
+    result = result.replace(p[0][1], p[1][0]);
+  });
+  return result;
+}
+function undoSafeB64_32(b64string) {
+  let result = b64string || "";
+  safeB64Pairs.forEach((p) => {
+    result = result.replace(p[1][1], p[0][0]);
+  });
+  return result;
+}
+
+// {salts,tokens?,minlock?,maxunlocks?,per?,mingap?,schedule?}
+//    => {vaults: [{salt,token name,min lock,policy,schedule}]} to seal, or
+//    {err}
+function vaultsForSalts(body, route, now) {
+  var salts = body["salts"];
+  if (!salts.every(isValidSalt)) {
+    return apiError("SALT_INVALID", `Bad salt format in ${route}`);
+  }
+  // Optional token name for each salt, to bind them together
+  var names = body["tokens"] || [];
+  if (names.length > 0 && names.length !== salts.length) {
+    return apiError("PARAMS_INVALID", `Tokens in ${route} must match salts`);
+  }
+  // Bound to the vault as its shortest wait, so no guessing what they mean:
+  //    the same name and limits as /setup gives out ("3600.5s" => "1h")
+  const canonical = names.map((e) => canonicalTimeString(e, now));
+  const badName = canonical.find((e) => e.err);
+  if (badName) {
+    return apiError("TIME_INVALID", badName.err);
+  }
+
+  // Optional minimum lock for all, the vault waits the longer of it and
+  //    the token time
+  let minLock = {};
+  if (body["minlock"]) {
+    const { sec, err } = parseMinLockSec(body["minlock"]);
+    if (err) {
+      return apiError("TIME_INVALID", err);
+    }
+    minLock = { m: sec };
+  }
+
+  // Optional unlock policy for all, see policy.js
+  const { policy, err } = parseUnlockPolicy(body);
+  if (err) {
+    return apiError("POLICY_INVALID", err);
+  }
+  // Shared by all the enckeys of this call, the policy counts for the vault
+  //    and not for each token
+  const vaultId = policy ? { v: genNonce() } : {};
+  if (policy && !storageEnabled()) {
+    return apiError(
+      "STATE_REQUIRED",
+      `Unlock policy in ${route} needs server state (STORAGE)`
+    );
+  }
+
+  // Optional unlock schedule for all, see schedule.js
+  const schedule = (body["schedule"] || "").trim();
+  if (schedule && parseSchedule(schedule).err) {
+    return apiError("SCHEDULE_INVALID", parseSchedule(schedule).err);
+  }
+
+  return {
+    vaults: salts.map((s, i) => ({
+      s: s,
+      ...(names.length > 0 ? { t: canonical[i].name } : {}),
+      ...minLock,
+      ...(policy ? { l: policy, ...vaultId } : {}),
+      ...(schedule ? { w: schedule } : {})
+    }))
+  };
+}
+
+// {pass,salts,...} => {enckey: [enc({pass}, bound to its vault)]}
+function encryptForSalts(pass, body, route, now) {
+  const checked = vaultsForSalts(body, route, now);
+  if (checked.err) return checked;
+  return {
+    enckey: checked.vaults.map((e) =>
+      toSafeURL(encryptVault({ p: pass, ...e }))
+    )
+  };
+}
+
+function unlockSuccessSimple(
+  query,
+  password,
+  timeEnd,
+  nowTime,
+  extraProps = {}
+) {
+  return {
+    pass: password,
+    timeLeftOpen: prettyTime(timeEnd - nowTime),
+    ...extraProps
+  };
+}
+
+function unlockSuccessHash(query, password, timeEnd, nowTime) {
+  // Optional 2-step hash
+  const hashType = query["hashtype"] || "";
+  const hashState = query["hashstate"] || "";
+  const hashServerSecret = query["hashsecret"] || "";
+
+  let hashNextState = "";
+  if (!!hashType && hashType !== "undefined") {
+    // Same pass for partial hash
+    // Assume client hash smart like
+    //    (code + key_client1 + key_server + key_client2)
+    //    so client can't abuse us to get state and remember
+    //    like in case of (server_key + client_key + code)
+    let hashKeyPlain = keydecrypt(hashServerSecret, password);
+    if (!hashKeyPlain) {
+      return apiError("DECRYPT_FAILED", "Can't decrypt hash secret");
+    }
+    try {
+      hashNextState = hashStep(hashKeyPlain, hashType, hashState);
+    } catch (e) {
+      return apiError("PARAMS_INVALID", "Bad hash state to continue from");
+    }
+  }
+
+  return unlockSuccessSimple(query, password, timeEnd, nowTime, {
+    pass: "<hash-only>",
+    hashstep: hashNextState
+  });
+}
+
+function unlockSuccessOTP(query, password, timeEnd, nowTime) {
+  // Optional 2-step hash
+  const hashType = query["hashtype"] || "";
+  const hashServerSecret = undoSafeB64_32(query["hashsecret"] || "");
+  const hashExtra = query["hashextra"] || "";
+
+  let hashNextState = "";
+  if (!!hashType && hashType !== "undefined") {
+    // Same pass for partial hash
+    // Assume client hash smart like
+    //    (code + key_client1 + key_server + key_client2)
+    //    so client can't abuse us to get state and remember
+    //    like in case of (server_key + client_key + code)
+    let hashKeyPlain = keydecrypt(hashServerSecret, password);
+    if (!hashKeyPlain) {
+      return apiError("DECRYPT_FAILED", "Can't decrypt hash secret");
+    }
+
+    // Assume both array of bits
+    let hashKeyBits, hashExtraBits;
+    try {
+      hashKeyBits = JSON.parse(hashKeyPlain);
+      hashExtraBits = JSON.parse(hashExtra || "[]");
+    } catch (e) {
+      return apiError(
+        "PARAMS_INVALID",
+        "Hash secret and hashextra must be JSON arrays"
+      );
+    }
+
+    if (
+      !Array.isArray(hashKeyBits) ||
+      !Array.isArray(hashExtraBits) ||
+      hashKeyBits.length < 2 ||
+      hashExtra.length < 2
+    ) {
+      return apiError(
+        "PARAMS_INVALID",
+        "Both key & data must be non empty arrays"
+      );
+    }
+    try {
+      hashNextState = hashStep(hashKeyBits, hashType, null);
+      hashNextState = hashStep(hashExtraBits, hashType, hashNextState);
+    } catch (e) {
+      return apiError(
+        "PARAMS_INVALID",
+        "Hash secret and hashextra must be bits"
+      );
+    }
+  }
+
+  return unlockSuccessSimple(query, password, timeEnd, nowTime, {
+    pass: "<hash-only>",
+    hashstep: hashNextState
+  });
+}
+
+// {enckey,from,to,proof,salt}, use(keyData, timeEnd, nowTime) => its result
+//    (with unlocks?, usesLeft?) if the unlock window is open now, else {err}.
+//    Only once use() worked is a single use proof spent and the unlock
+//    counted, so a typo in its params never burns the proof.
+async function openUnlockWindow(body, now, use) {
+  const enckey = fromSafeURL(body["enckey"]);
+  const timeStart = new Date(body["from"]);
+  const timeEnd = new Date(body["to"]);
+  const timeProof = body["proof"];
+  const salt = body["salt"];
+
+  const waited = verifyTimeEndedProof(
+    salt,
+    timeStart,
+    timeEnd,
+    enckey,
+    timeProof
+  );
+  if (!waited) {
+    return apiError("PROOF_INVALID", `Can't validate proof: '${timeProof}'`);
+  }
+  if (await isProofRevoked(timeProof)) {
+    return apiError("WINDOW_CANCELED", "Unlock window was canceled");
+  }
+
+  const nowTime = new Date(now);
+  if (!(timeStart < nowTime && nowTime < timeEnd)) {
+    return apiError(
+      "WINDOW_NOT_OPEN",
+      `Time window wrong!, Left: ${prettyTime(timeStart - nowTime)}`,
+      {
+        from: timeStart.getTime(),
+        to: timeEnd.getTime(),
+        secondsLeft: Math.max(Math.ceil((timeStart - nowTime) / 1000), 0)
+      }
+    );
+  }
+
+  const keyData = decryptVault(enckey);
+  if (!keyData) {
+    return apiError("DECRYPT_FAILED", "Can't decrypt encrypted data");
+  }
+  if ((keyData.salt || keyData.s) !== salt) {
+    return apiError("SALT_MISMATCH", "Salt of encrypted data mismatch!");
+  }
+  if (keyData.w) {
+    const { rules } = parseSchedule(keyData.w);
+    if (!rules || !inSchedule(rules, nowTime)) {
+      const next = rules && nextInSchedule(rules, nowTime);
+      return apiError(
+        "OUTSIDE_SCHEDULE",
+        "Outside of the unlock schedule" +
+          (next ? `, opens in ${prettyTime(next - nowTime)}` : ""),
+        next ? { secondsLeft: Math.ceil((next - nowTime) / 1000) } : undefined
+      );
+    }
+  }
+
+  const lockedUntil = vaultLockedUntil(keyData);
+  if (timeStart < lockedUntil) {
+    return apiError(
+      "VAULT_LOCKED",
+      `Vault is locked until ${new Date(lockedUntil).toISOString()}`,
+      { lockedUntil: lockedUntil }
+    );
+  }
+
+  const minWaitSec = vaultMinWaitSec(keyData);
+  if (waited.sec < minWaitSec || timeStart - waited.since < minWaitSec * 1000) {
+    return apiError(
+      "LOCK_TOO_SHORT",
+      `Unlock window is shorter than the vault lock of ${prettyTime(
+        minWaitSec * 1000
+      )}`,
+      { minLockSec: minWaitSec }
+    );
+  }
+
+  const result = use(keyData, timeEnd, nowTime);
+  if (result.err) return result;
+
+  // Last, only spent when all else is good
+  if (waited.nonce && !(await spendNonce(waited.nonce, timeEnd))) {
+    return apiError("PROOF_USED", "Unlock proof was already used");
+  }
+  // How many times this proof was used, only with server state
+  const unlocks = await recordUnlock(timeProof, timeEnd);
+  return {
+    ...result,
+    ...(unlocks === null ? {} : { unlocks }),
+    ...(waited.nonce ? { usesLeft: 0 } : {})
+  };
+}
+
+// [token times] => {salt=time+rnd, tokens=[{time,hmac(salt+time)}] }
+async function setup(body, now) {
+  var tokens = body["time"];
+  // Optional, leave creation time out of the salts
+  const saltTime = body["salttime"];
+  // Old clients can still ask for short tokens while migrating
+  const legacy = body["tokenformat"] === "legacy";
+  if (legacy && !legacyTokensAllowed(now)) {
+    return apiError("LEGACY_DISABLED", "Legacy tokens are no longer issued");
+  }
+
+  // Strict, and only one name for each time ("60m" => "1h")
+  const names = tokens.map((e) => canonicalTimeString(e, now));
+  const bad = names.find((e) => e.err);
+  if (bad) {
+    return apiError("TIME_INVALID", bad.err);
+  }
+
+  var tokenTimes = names.map(({ name: e }) => {
+    var salt = genSalt(saltTime, now);
+    return {
+      name: e,
+      salt: salt,
+      proof: legacy ? getLegacyTimeToken(salt, e) : getTimeToken(salt, e)
+    };
+  });
+
+  return { tokens: tokenTimes, salt: "no_shared_salt" };
+}
+
+async function encrypt(body, now) {
+  // This assume good intentions when encrypting
+  // 1) No lying about data_hash
+  // 2) Use it to encrypt and throw away
+  return encryptForSalts(body["pass"], body, "/enc", now);
+}
+
+// {pass,hashparts[]} => [enc(hashparts, password = pass+secret)]
+async function enchash(body) {
+  // Because we will only decrypt if password is
+  // proven to be time unlocked, the user has no incentive
+  // to enter a different random password...
+  // because no time free password will work since it doesnt have
+  // proof of unlock..
+
+  const pass = body["pass"];
+
+  // Encrypt hashs without depending on salt..
+  // keyencrypt() uses our severKey so user can't unlock even
+  //    if saving tempPass in textplain
+  return { encparts: body["hashparts"].map((e) => keyencrypt(e, pass)) };
+}
+
+// {enckey, token_time, token_hmac, salt} => {end_time,timed_proof = hmac(time,data_hash)}
+async function begin(body, nowTime) {
+  const enckey = fromSafeURL(body["enckey"]);
+  const time_string = body["token"];
+  const time_token = body["tokenproof"];
+  if (parseTimeStrict(time_string).err) {
+    return apiError("TIME_INVALID", parseTimeStrict(time_string).err);
+  }
+  // No negative offset, it would skip the wait
+  const offset_strat_min = Math.max(body["offsetstartmin"], 0);
+  const duration = body["duration"];
+  const salt = body["salt"];
+  // Optional, proof that works for one unlock only
+  const singleUse = body["singleuse"];
+
+  if (singleUse && !storageEnabled()) {
+    return apiError(
+      "STATE_REQUIRED",
+      "Single use proofs need server state (STORAGE)"
+    );
+  }
+
+  if (!verifyTimeToken(salt, time_string, time_token, nowTime)) {
+    return apiError("TOKEN_INVALID", `Can't validate token: '${time_token}'`);
+  }
+
+  let now = new Date(nowTime);
+  const vault = decryptVault(enckey);
+  const tokenSec = tokenWaitSec(time_string, now.getTime());
+  const lockUntil = parseUntil(time_string);
+  // Never less than the vault lock (min lock, bound token), or finish
+  //    would refuse the window
+  const vaultSec = vault ? vaultMinWaitSec(vault) : 0;
+  let waitTimeSec = Math.max(tokenSec, vaultSec);
+
+  // Absolute locks start at their date (or the offset, if later),
+  //    then pushed to the next slot of the vault schedule (if any)
+  const startAt =
+    lockUntil === null
+      ? now.getTime() +
+        Math.max(tokenSec + offset_strat_min * 60, vaultSec) * 1000
+      : Math.max(
+          now.getTime() + offset_strat_min * 60 * 1000,
+          now.getTime() + vaultSec * 1000,
+          lockUntil
+        );
+  const window = fitWindowToVault(
+    vault,
+    new Date(startAt),
+    new Date(startAt + duration * 60 * 1000)
+  );
+  if (window.err) {
+    return apiError("SCHEDULE_INVALID", window.err);
+  }
+  let { startTime, endTime } = window;
+
+  let timeProof = getTimeEndedProof(salt, startTime, endTime, enckey, {
+    sec: waitTimeSec,
+    since: now,
+    ...(singleUse ? { nonce: genNonce() } : {})
+  });
+  const result = {
+    from: startTime.getTime(),
+    to: endTime.getTime(),
+    proof: timeProof,
+    ...(singleUse ? { usesLeft: 1 } : {})
+  };
+  return issueUnlockWindow(enckey, salt, result, nowTime);
+}
+
+const unlockSucessCB = {
+  simple: unlockSuccessSimple,
+  "sha-step": unlockSuccessHash,
+  "otp-step": unlockSuccessOTP
+};
+
+// {enckey,end_time,timed_proof, salt} => key
+async function finish(body, now) {
+  const mode = body["mode"]; // optional hash\otp step based on password
+
+  return openUnlockWindow(body, now, (keyData, timeEnd, nowTime) => {
+    const password = keyData.pass || keyData.p || "error-no-pass-key";
+    return unlockSucessCB[mode](body, password, timeEnd, nowTime);
+  });
+}
+
+// {enckey,from,to,proof,salt, salts,tokens?,minlock?} => {enckey: [...]}
+//    Same as finish + /enc with the password, but the password never
+//    leaves the server. Used to move a vault to a new (longer) token set.
+async function rewrap(body, now) {
+  // Counts as an unlock, like finish
+  return openUnlockWindow(body, now, (keyData) => {
+    const password = keyData.pass || keyData.p || "error-no-pass-key";
+    return encryptForSalts(password, body, "/rewrap", now);
+  });
+}
+
+// {enckey,from,to,proof,salt} => {canceled, cancelproof, revoked}
+//    Never mind the unlock. The signed cancellation is a receipt for the
+//    user (or whoever keeps them honest), only with server state on is the
+//    proof also rejected by finish from now on.
+async function cancel(body, now) {
+  const enckey = fromSafeURL(body["enckey"]);
+  const timeStart = new Date(body["from"]);
+  const timeEnd = new Date(body["to"]);
+  const timeProof = body["proof"];
+  const salt = body["salt"];
+
+  if (!verifyTimeEndedProof(salt, timeStart, timeEnd, enckey, timeProof)) {
+    return apiError("PROOF_INVALID", `Can't validate proof: '${timeProof}'`);
+  }
+
+  const canceledAt = new Date(now);
+  return {
+    canceled: canceledAt.getTime(),
+    cancelproof: getCancelProof(normalizeProof(timeProof), canceledAt),
+    revoked: await revokeProof(timeProof, timeEnd)
+  };
+}
+
+// {proof,canceled,cancelproof} => {valid} check a cancellation receipt
+async function checkCancel(body) {
+  const canceledAt = new Date(body["canceled"]);
+  return {
+    valid: verifyCancelProof(body["proof"], canceledAt, body["cancelproof"])
+  };
+}
+
+// {enckey,minlock} => {enckey} same vault, with a longer minimum lock
+//    No proof needed, it can only make the lock stricter. The old enckey
+//    still works, so the client must throw it away.
+async function extendLock(body) {
+  const keyData = decryptVault(fromSafeURL(body["enckey"]));
+  if (!keyData) {
+    return apiError("DECRYPT_FAILED", "Can't decrypt encrypted data");
+  }
+  // Capsules (and anything else without a salt) never read the min lock
+  if (!keyData.salt && !keyData.s) {
+    return apiError("PARAMS_INVALID", "Only vaults from /enc can be extended");
+  }
+
+  const { sec: minLockSec, err } = parseMinLockSec(body["minlock"]);
+  if (err) {
+    return apiError("TIME_INVALID", err);
+  }
+  const currentWaitSec = vaultMinWaitSec(keyData);
+  if (minLockSec <= currentWaitSec) {
+    return apiError(
+      "LOCK_NOT_LONGER",
+      `Can only make the lock longer than ${prettyTime(currentWaitSec * 1000)}`,
+      { minLockSec: currentWaitSec }
+    );
+  }
+
+  const { pass, salt, ...vault } = keyData;
+  return {
+    enckey: toSafeURL(
+      encryptVault({
+        ...vault,
+        p: pass || keyData.p,
+        s: salt || keyData.s,
+        m: minLockSec
+      })
+    ),
+    minlock: prettyTime(minLockSec * 1000)
+  };
+}
+
+async function tempBegin(body, now) {
+  const time_string = body["token"];
+  if (parseTimeStrict(time_string).err) {
+    return apiError("TIME_INVALID", parseTimeStrict(time_string).err);
+  }
+
+  return tempTokenBegin(body["salt"], time_string, body["tokenproof"], now);
+}
+
+async function tempFastcopy(body, now) {
+  const time_string = body["token"];
+  if (parseTimeStrict(time_string).err) {
+    return apiError("TIME_INVALID", parseTimeStrict(time_string).err);
+  }
+
+  return createFastCopyTempToken(
+    time_string,
+    body["salt"],
+    body["from"],
+    body["tempproof"],
+    now
+  );
+}
+
+async function tempUnlock(body, now) {
+  const time_string = body["token"];
+  const salt = body["salt"];
+  if (parseTimeStrict(time_string).err) {
+    return apiError("TIME_INVALID", parseTimeStrict(time_string).err);
+  }
+  const enckey = fromSafeURL(body["enckey"]);
+
+  const result = tempUnlockBegin(
+    time_string,
+    salt,
+    body["mindiff"],
+    body["fastproof"],
+    body["duration"],
+    enckey,
+    now
+  );
+  if (result.err) return result;
+  return issueUnlockWindow(enckey, salt, result, now);
+}
+
+// {pass, until} => {capsule, until}
+async function createCapsule(body, now) {
+  const result = capsuleCreate(body["pass"], body["until"], now);
+  return result.err
+    ? result
+    : { ...result, capsule: toSafeURL(result.capsule) };
+}
+
+// {capsule} => {pass} after its date
+async function openCapsule(body, now) {
+  return capsuleOpen(fromSafeURL(body["capsule"]), now);
+}
+
+// Route of each flow, its body is checked with the schema of the route
+const flows = {
+  "/api/setup": setup,
+  "/api/enc": encrypt,
+  "/api/enchash": enchash,
+  "/api/unlock/begin": begin,
+  "/api/unlock/finish": finish,
+  "/api/unlock/cancel": cancel,
+  "/api/unlock/cancel/check": checkCancel,
+  "/api/rewrap": rewrap,
+  "/api/lock/extend": extendLock,
+  "/api/temp/begin": tempBegin,
+  "/api/temp/fastcopy": tempFastcopy,
+  "/api/temp/unlock": tempUnlock,
+  "/api/capsule/create": createCapsule,
+  "/api/capsule/open": openCapsule
+};
+
+function createTimelock({ clock = processClock, keys } = {}) {
+  const keyring = keys ? createKeyring(keys) : null;
+
+  // route, body => Promise of the result
+  function run(route, body) {
+    const flow = async () => {
+      if (!flows[route]) {
+        throw new TimelockError(
+          apiError("ROUTE_UNKNOWN", `No such route: '${route}'`)
+        );
+      }
+      if (!checkKeyring().ok) {
+        throw new TimelockError(
+          apiError("SERVER_KEY", "Server key is missing or weak")
+        );
+      }
+      const checked = checkRequest(route, body);
+      if (checked.err) throw new TimelockError(checked);
+
+      const result = await flows[route](checked.body, clock.now());
+      if (result.err) throw new TimelockError(result);
+      return result;
+    };
+    const timed = () => withClock(clock, flow);
+    return keyring ? withKeyring(keyring, timed) : timed();
+  }
+  const flowOf = (route) => (body) => run(route, body);
+
+  return {
+    run,
+    setup: flowOf("/api/setup"),
+    encrypt: flowOf("/api/enc"),
+    enchash: flowOf("/api/enchash"),
+    begin: flowOf("/api/unlock/begin"),
+    finish: flowOf("/api/unlock/finish"),
+    cancel: flowOf("/api/unlock/cancel"),
+    checkCancel: flowOf("/api/unlock/cancel/check"),
+    rewrap: flowOf("/api/rewrap"),
+    extendLock: flowOf("/api/lock/extend"),
+    temp: {
+      begin: flowOf("/api/temp/begin"),
+      fastcopy: flowOf("/api/temp/fastcopy"),
+      unlock: flowOf("/api/temp/unlock")
+    },
+    capsule: {
+      create: flowOf("/api/capsule/create"),
+      open: flowOf("/api/capsule/open")
+    }
+  };
+}
+
+module.exports = {
+  createTimelock,
+  coreRoutes: Object.keys(flows),
+  TimelockError
+};
@@ -1,69 +1,390 @@
-const { padDigits, reverse, parseTimeSafeSec } = require("./utils");
+const {
+  padDigits,
+  reverse,
+  parseTimeSafeSec,
+  parseUntil,
+  timeKey,
+  getISOMin
+} = require("./utils");
+const {
+  currentKeyId,
+  hasKey,
+  getKey,
+  tagKeyId,
+  untagKeyId
+} = require("./keyring");
 
+const {
+  randomBytes,
+  hkdfSync,
+  createCipheriv,
+  createDecipheriv
+} = require("crypto");
 const _simpleenc = require("simple-encryptor");
-const key = process.env.KEY; // echo "$(< /dev/urandom tr -dc A-Za-z0-9 | head -c 64)"
-const encryptor = _simpleenc(key);
+const clock = require("./clock");
+// Keys come from KEY\KEYS, see keyring.js
+//    echo "$(< /dev/urandom tr -dc A-Za-z0-9 | head -c 64)"
 
-function genSalt() {
+const encryptors = {};
+function encryptorFor(keyId) {
+  const key = getKey(keyId);
+  if (!encryptors[key]) encryptors[key] = _simpleenc(key);
+  return encryptors[key];
+}
+
+function hmac(text, keyId = currentKeyId()) {
+  return encryptorFor(keyId).hmac(text);
+}
+
+function encrypt(data) {
+  const keyId = currentKeyId();
+  return tagKeyId(keyId, encryptorFor(keyId).encrypt(data));
+}
+
+function decrypt(chiper) {
+  const { keyId, body } = untagKeyId(chiper);
+  if (!hasKey(keyId)) return null;
+  return encryptorFor(keyId).decrypt(body);
+}
+
+// enc2:[k<id>:]<bound>:<kdf salt>:<iv>:<data + auth tag>  (all base64)
+//    AES-256-GCM, key = HKDF-SHA256(server key, kdf salt), the bound JSON
+//    (like salt and token name) is in clear text but authenticated.
+//    Only ":" and standard base64, so it survives both toSafeURL() and
+//    makeSafeB64_32(). Anything else is the older simple-encryptor format.
+const ENVELOPE_PREFIX = "enc2:";
+
+function isEnvelope(text) {
+  return `${text || ""}`.startsWith(ENVELOPE_PREFIX);
+}
+
+function envelopeKey(keyId, kdfSalt, secret) {
+  return Buffer.from(
+    hkdfSync("sha256", getKey(keyId) + secret, kdfSalt, "timelock-enc2", 32)
+  );
+}
+
+function envelopeAAD(keyId, bound64) {
+  return Buffer.from(`${ENVELOPE_PREFIX}${keyId}:${bound64}`);
+}
+
+// secret - optional extra key material, like the user password
+function sealEnvelope(data, bound = {}, secret = "") {
+  const keyId = currentKeyId();
+  const bound64 = Buffer.from(JSON.stringify(bound)).toString("base64");
+  const kdfSalt = randomBytes(16);
+  const iv = randomBytes(12);
+
+  const cipher = createCipheriv(
+    "aes-256-gcm",
+    envelopeKey(keyId, kdfSalt, secret),
+    iv
+  );
+  cipher.setAAD(envelopeAAD(keyId, bound64));
+  const body = Buffer.concat([
+    cipher.update(JSON.stringify(data), "utf8"),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  return (
+    ENVELOPE_PREFIX +
+    tagKeyId(
+      keyId,
+      [bound64, kdfSalt, iv, body]
+        .map((e) => (typeof e === "string" ? e : e.toString("base64")))
+        .join(":")
+    )
+  );
+}
+
+// => {data, bound} or null if can't open
+function openEnvelope(text, secret = "") {
+  if (!isEnvelope(text)) return null;
+  const { keyId, body } = untagKeyId(text.substr(ENVELOPE_PREFIX.length));
+  const parts = body.split(":");
+  if (!hasKey(keyId) || parts.length !== 4) return null;
+
+  try {
+    const [bound64, kdfSalt, iv, sealed] = parts.map((e, i) =>
+      i === 0 ? e : Buffer.from(e, "base64")
+    );
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      envelopeKey(keyId, kdfSalt, secret),
+      iv
+    );
+    decipher.setAAD(envelopeAAD(keyId, bound64));
+    decipher.setAuthTag(sealed.slice(sealed.length - 16));
+    const json =
+      decipher.update(sealed.slice(0, sealed.length - 16), undefined, "utf8") +
+      decipher.final("utf8");
+
+    return {
+      data: JSON.parse(json),
+      bound: JSON.parse(Buffer.from(bound64, "base64").toString("utf8"))
+    };
+  } catch (e) {
+    return null; // Bad key, tampered data or not ours
+  }
+}
+
+// {p: pass, s: salt, t: token name} => enckey (before toSafeURL)
+//    only the pass is secret, the rest is bound to it
+function encryptVault(vault) {
+  const { p, ...bound } = vault;
+  return sealEnvelope({ p }, bound);
+}
+
+// Shortest wait the vault was locked for, by its token name (t)
+//    and the optional minimum lock (m), in whole seconds (like the proofs)
+function vaultMinWaitSec(vault) {
+  const relative = vault.t && parseUntil(vault.t) === null;
+  const tokenSec = relative ? Math.ceil(parseTimeSafeSec(vault.t)) : 0;
+  return Math.max(tokenSec, vault.m || 0);
+}
+
+// Date (ms) the vault opens at the earliest if its token is an absolute
+//    lock, else 0
+function vaultLockedUntil(vault) {
+  return (vault.t && parseUntil(vault.t)) || 0;
+}
+
+// enckey (after fromSafeURL) => {p, s, ...} or null, for both formats
+function decryptVault(enckey) {
+  if (isEnvelope(enckey)) {
+    const opened = openEnvelope(enckey);
+    return opened && { ...opened.bound, ...opened.data };
+  }
+
+  try {
+    return JSON.parse(decrypt(enckey));
+  } catch (e) {
+    return null;
+  }
+}
+
+// salt_17923_519_48213             - v1, time + Math.random(), still accepted
+// salt2_17923_519_<32 hex chars>   - v2, time + 128 random bits
+// salt2_<32 hex chars>             - v2 without the time
+const SALT_V1_REGEX = /^salt_\d{5}_\d{3}_\d{5,6}$/;
+const SALT_V2_REGEX = /^salt2_(\d{5}_\d{3}_)?[0-9a-f]{32}$/;
+
+// For single use proofs
+function genNonce() {
+  return randomBytes(16).toString("hex");
+}
+
+function genSalt(withTime = true, now = clock.now()) {
   //const salt = `${Date.now()}_${randString(10)}`;
-  const salt = Date.now()
+  const time = now
     .toString()
     .substr(0, 8)
     .split("")
     .map((e, i) => (i % 5 == 4 ? e + "_" : e))
     .join("");
   return (
-    "salt_" +
-    salt +
-    "_" +
-    Math.ceil(Math.random() * (100 * 1000 - 10 * 1000) + 10 * 1000)
+    "salt2_" + (withTime ? time + "_" : "") + randomBytes(16).toString("hex")
+  );
+}
+
+function isValidSalt(salt) {
+  return SALT_V1_REGEX.test(salt) || SALT_V2_REGEX.test(salt);
+}
+
+// tokenat_<hmac hex> - absolute lock ("until:<date>" names), like v2
+// token2_<hmac hex>  - v2 (strong), TOKEN_PROOF_LENGTH hex chars (32-64)
+// token_abcde_fghij_12345 - v1 (legacy), 10 hmac chars + 5 digits, accepted
+//      until LEGACY_TOKENS_UNTIL (date, if set)
+const MIN_TOKEN_PROOF_LENGTH = 32;
+const MAX_TOKEN_PROOF_LENGTH = 64;
+
+function tokenProofLength() {
+  const length = parseInt(process.env.TOKEN_PROOF_LENGTH, 10);
+  if (!length) return MAX_TOKEN_PROOF_LENGTH;
+  return Math.min(
+    Math.max(length, MIN_TOKEN_PROOF_LENGTH),
+    MAX_TOKEN_PROOF_LENGTH
   );
 }
 
-function getTimeToken(salt, time_string) {
-  let hmac = encryptor.hmac("token_" + salt + parseTimeSafeSec(time_string));
+function legacyTokensAllowed(now = clock.now()) {
+  const until = process.env.LEGACY_TOKENS_UNTIL;
+  return !until || now < new Date(until).getTime();
+}
+
+function getTimeToken(
+  salt,
+  time_string,
+  keyId = currentKeyId(),
+  length = tokenProofLength()
+) {
+  const prefix = parseUntil(time_string) !== null ? "tokenat_" : "token2_";
+  let hash = hmac(prefix + salt + timeKey(time_string), keyId);
+  return prefix + tagKeyId(keyId, hash.substr(0, length));
+}
+
+function getLegacyTimeToken(salt, time_string, keyId = currentKeyId()) {
+  // Absolute locks never had a legacy format
+  if (parseUntil(time_string) !== null) {
+    return getTimeToken(salt, time_string, keyId);
+  }
+
+  let hash = hmac("token_" + salt + timeKey(time_string), keyId);
 
   return (
     "token_" +
-    hmac
-      .substr(0, 10)
-      .split("")
-      .map((e, i) => (i % 5 == 4 ? e + "_" : e))
-      .join("") +
-    padDigits(
-      parseInt(reverse(hmac.replace(/[a-z]/gi, "")).substr(0, 5), 10) || 0,
-      5
+    tagKeyId(
+      keyId,
+      hash
+        .substr(0, 10)
+        .split("")
+        .map((e, i) => (i % 5 == 4 ? e + "_" : e))
+        .join("") +
+        padDigits(
+          parseInt(reverse(hash.replace(/[a-z]/gi, "")).substr(0, 5), 10) || 0,
+          5
+        )
     )
   );
 }
 
-function getTimeEndedProof(salt, timeStart, timeEnd, enc_data) {
+// begintime2_<wait sec>_<since ms>_[<nonce>_]<hmac> - v2, also says how
+//    long the user had to wait for this window (and since when), to check
+//    against the lock of the vault. Single use proofs have a nonce.
+// begintime_<hmac> - v1, still accepted for vaults with no minimum lock
+function getTimeEndedProof(
+  salt,
+  timeStart,
+  timeEnd,
+  enc_data,
+  waited,
+  keyId = currentKeyId()
+) {
+  const waitedText =
+    `${waited.sec}_${waited.since.getTime()}` +
+    (waited.nonce ? `_${waited.nonce}` : "");
+  return (
+    "begintime2_" +
+    tagKeyId(
+      keyId,
+      waitedText +
+        "_" +
+        hmac(
+          `begintime2_${salt}|${timeStart.getTime()}|${timeEnd.getTime()}|${waitedText}|${enc_data}`,
+          keyId
+        )
+    )
+  );
+}
+
+function getLegacyTimeEndedProof(
+  salt,
+  timeStart,
+  timeEnd,
+  enc_data,
+  keyId = currentKeyId()
+) {
   return (
     "begintime_" +
-    encryptor.hmac(
-      `begintime_${salt}|${timeStart.getTime()}|${timeEnd.getTime()}|${enc_data}`
+    tagKeyId(
+      keyId,
+      hmac(
+        `begintime_${salt}|${timeStart.getTime()}|${timeEnd.getTime()}|${enc_data}`,
+        keyId
+      )
     )
   );
 }
 
+// Receipt that the unlock window of this proof was canceled at that time
+function getCancelProof(proof, canceledAt, keyId = currentKeyId()) {
+  return (
+    "cancel_" +
+    tagKeyId(keyId, hmac(`cancel_${proof}|${canceledAt.getTime()}`, keyId))
+  );
+}
+
+function getTempTimeToken(
+  time_string,
+  salt,
+  timeCreated,
+  keyId = currentKeyId()
+) {
+  // long token to help you proove you had the key (token) in time X
+  const hash = hmac(
+    ["temp2_", salt, timeKey(time_string), timeCreated].join("|"),
+    keyId
+  );
+  return "temp2_" + tagKeyId(keyId, hash);
+}
+
+// Old temp tokens were made over the token name as typed, still verified
+function getLegacyTempTimeToken(
+  time_string,
+  salt,
+  timeCreated,
+  keyId = currentKeyId()
+) {
+  return (
+    "temp_" +
+    tagKeyId(keyId, hmac("temp_" + salt + time_string + timeCreated, keyId))
+  );
+}
+
+function getFastTempProof(
+  time_string,
+  salt,
+  minutePassed,
+  time,
+  keyId = currentKeyId(),
+  legacy = false
+) {
+  // short text to copy by hand, too short to carry a key id
+  const timeValue = legacy ? time_string : timeKey(time_string);
+  return hmac([timeValue, salt, minutePassed, getISOMin(time)].join("|"), keyId)
+    .substr(0, 6)
+    .toUpperCase();
+}
+
 function keyencrypt(data, encKey) {
-  const encryptor = _simpleenc("hashstep" + key + encKey);
-  return encryptor.encrypt(data);
+  return sealEnvelope(data, {}, "hashstep" + encKey);
 }
 
 function keydecrypt(chiper, encKey) {
-  const encryptor = _simpleenc("hashstep" + key + encKey);
-  return encryptor.decrypt(chiper);
+  if (isEnvelope(chiper)) {
+    const opened = openEnvelope(chiper, "hashstep" + encKey);
+    return opened && opened.data;
+  }
+
+  const { keyId, body } = untagKeyId(chiper);
+  if (!hasKey(keyId)) return null;
+  const encryptor = _simpleenc("hashstep" + getKey(keyId) + encKey);
+  return encryptor.decrypt(body);
 }
 
 module.exports = {
-  encryptor: encryptor,
-  hmac: encryptor.hmac,
-  encrypt: encryptor.encrypt,
-  decrypt: encryptor.decrypt,
+  hmac,
+  encrypt,
+  decrypt,
+  encryptVault,
+  decryptVault,
+  vaultMinWaitSec,
+  vaultLockedUntil,
   keyencrypt,
   keydecrypt,
   genSalt,
+  genNonce,
+  isValidSalt,
+  MIN_TOKEN_PROOF_LENGTH,
+  MAX_TOKEN_PROOF_LENGTH,
+  legacyTokensAllowed,
   getTimeToken,
-  getTimeEndedProof
+  getLegacyTimeToken,
+  getTimeEndedProof,
+  getLegacyTimeEndedProof,
+  getCancelProof,
+  getTempTimeToken,
+  getLegacyTempTimeToken,
+  getFastTempProof
 };
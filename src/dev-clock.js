@@ -0,0 +1,75 @@
+const { timingSafeEqual } = require("crypto");
+const parseTime = require("parse-duration");
+const { apiError } = require("./errors");
+const { parseUntil } = require("./utils");
+
+// /api/dev/clock freezes or moves the server clock (clock.js), to try time
+//    windows without waiting. Only on with DEV_CLOCK_TOKEN, and never in
+//    production (NODE_ENV\VERCEL_ENV=production). Callers send
+//    "Authorization: Bearer <DEV_CLOCK_TOKEN>".
+
+const MIN_TOKEN_LENGTH = 16;
+
+function devClockEnabled(env = process.env) {
+  const production =
+    env.NODE_ENV === "production" || env.VERCEL_ENV === "production";
+  return !production && (env.DEV_CLOCK_TOKEN || "").length >= MIN_TOKEN_LENGTH;
+}
+
+// "Bearer <token>" header => true if it is the admin token
+function isDevAdmin(authorization, env = process.env) {
+  const match = `${authorization || ""}`.match(/^Bearer\s+(.+)$/i);
+  if (!match || !devClockEnabled(env)) return false;
+  const given = Buffer.from(match[1].trim());
+  const token = Buffer.from(env.DEV_CLOCK_TOKEN);
+  return given.length === token.length && timingSafeEqual(given, token);
+}
+
+// "2030-01-01" or "<ms>" => ms, or {err}
+function parseAt(at) {
+  const ms = parseUntil(`until:${at}`);
+  return isNaN(ms) ? apiError("DATE_INVALID", `Bad clock time: '${at}'`) : ms;
+}
+
+// {action, by?, at?} => clock status after it, or {err}
+function runClockAction(clock, { action, by, at }) {
+  const needs = { advance: ["by", by], set: ["at", at] }[action];
+  if (needs && needs[1] === undefined) {
+    return apiError(
+      "PARAMS_MISSING",
+      `Missing params in /dev/clock: ${needs[0]} is required`
+    );
+  }
+
+  switch (action) {
+    case "status":
+      return clock.status();
+    case "freeze": {
+      if (at === undefined) return clock.freeze();
+      const ms = parseAt(at);
+      return ms.err ? ms : clock.freeze(ms);
+    }
+    case "unfreeze":
+      return clock.unfreeze();
+    case "advance": {
+      // Like token times, a plain number would be ms for parse-duration
+      const ms = /[a-z]/i.test(`${by}`) ? parseTime(`${by}`) : null;
+      if (!ms || !isFinite(ms)) {
+        return apiError("TIME_INVALID", `Can't parse clock time: '${by}'`);
+      }
+      return clock.advance(ms);
+    }
+    case "set": {
+      const ms = parseAt(at);
+      return ms.err ? ms : clock.set(ms);
+    }
+    case "reset":
+      return clock.reset();
+  }
+}
+
+module.exports = {
+  devClockEnabled,
+  isDevAdmin,
+  runClockAction
+};
@@ -0,0 +1,99 @@
+// Errors clients can rely on: a stable code (the message may change),
+//    the http status for it, and details like the seconds left.
+//
+//  v2 (default) - 4xx\5xx {error: {version, code, message, details?}}
+//  legacy       - 200 {err: message, ...details} like before, with
+//                 ERROR_FORMAT=legacy or a "X-Error-Format: legacy" header
+const ERROR_VERSION = 2;
+const ERROR_STATUS = {
+  PARAMS_MISSING: 400,
+  PARAMS_INVALID: 400,
+  TIME_INVALID: 400,
+  SALT_INVALID: 400,
+  DATE_INVALID: 400,
+  POLICY_INVALID: 400,
+  SCHEDULE_INVALID: 400,
+  DECRYPT_FAILED: 400,
+  CAPSULE_INVALID: 400,
+  LOCK_NOT_LONGER: 400,
+  TOKEN_INVALID: 401,
+  PROOF_INVALID: 401,
+  ADMIN_REQUIRED: 401,
+  SALT_MISMATCH: 403,
+  WINDOW_NOT_OPEN: 403,
+  OUTSIDE_SCHEDULE: 403,
+  VAULT_LOCKED: 403,
+  LOCK_TOO_SHORT: 403,
+  CAPSULE_SEALED: 403,
+  ROUTE_UNKNOWN: 404,
+  WINDOW_CANCELED: 410,
+  PROOF_USED: 410,
+  LEGACY_DISABLED: 410,
+  POLICY_LIMITED: 429,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  STATE_REQUIRED: 501,
+  STATE_ERROR: 503,
+  SERVER_KEY: 503
+};
+
+// => {err, code, details?}, still an {err} result like everywhere else
+function apiError(code, message, details) {
+  return { err: message, code, ...(details ? { details } : {}) };
+}
+
+// How core.js rejects, from an {err, code?, details?} result
+class TimelockError extends Error {
+  constructor(error) {
+    super(error.err);
+    this.name = "TimelockError";
+    this.code = error.code || "PARAMS_INVALID";
+    this.status = ERROR_STATUS[this.code] || 400;
+    this.details = error.details;
+  }
+
+  toResult() {
+    return apiError(this.code, this.message, this.details);
+  }
+}
+
+function legacyErrors(req) {
+  const format = req.get("x-error-format") || process.env.ERROR_FORMAT || "";
+  return format.trim().toLowerCase() === "legacy";
+}
+
+// {err, code?, details?} => error response, plain {err} is PARAMS_INVALID
+function sendError(req, resp, error, legacyStatus = 200) {
+  if (legacyErrors(req)) {
+    resp.status(legacyStatus).send({ err: error.err, ...error.details });
+    return;
+  }
+
+  const code = error.code || "PARAMS_INVALID";
+  resp.status(ERROR_STATUS[code] || 400).send({
+    error: {
+      version: ERROR_VERSION,
+      code,
+      message: error.err,
+      ...(error.details ? { details: error.details } : {})
+    }
+  });
+}
+
+// {err} => error response, anything else is sent as is
+function sendResult(req, resp, result) {
+  if (result.err) {
+    sendError(req, resp, result);
+  } else {
+    resp.send(result);
+  }
+}
+
+module.exports = {
+  ERROR_VERSION,
+  ERROR_STATUS,
+  apiError,
+  TimelockError,
+  sendError,
+  sendResult
+};
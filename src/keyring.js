@@ -0,0 +1,149 @@
+// Server keys by id, so the key can be rotated without breaking old tokens.
+//
+//  KEY  - the original server key, output made with it has no key id
+//  KEYS - "<id>:<secret>,<id>:<secret>" versioned keys, the LAST one
+//         is used for new output, all of them are still used to verify
+//
+// Output made with a versioned key is tagged "k<id>:" after its type prefix,
+//   e.g. "token_k2:abcde_fghij_12345" or "begintime_k2:<hmac>"
+//
+// The keys come from process.env, or from withKeyring() for code that brings
+//   its own keys (see core.js)
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEGACY_KEY_ID = "";
+const KEY_ID_REGEX = /^[a-z0-9]{1,8}$/i;
+const KEY_TAG_REGEX = /^k([a-z0-9]{1,8}):/i;
+
+// Checked on startup, random 64 chars of [A-Za-z0-9] give ~380 bits
+const MIN_KEY_LENGTH = 32;
+const MIN_KEY_ENTROPY_BITS = 128;
+
+function parseKeyring(env) {
+  const keys = {};
+  const problems = [];
+  let currentId = null;
+
+  if (env.KEY) {
+    keys[LEGACY_KEY_ID] = env.KEY;
+    currentId = LEGACY_KEY_ID;
+  }
+
+  (env.KEYS || "")
+    .split(",")
+    .map((e) => e.trim())
+    .filter((e) => !!e)
+    .forEach((e) => {
+      const sep = e.indexOf(":");
+      const id = e.substr(0, sep);
+      if (sep < 1 || !KEY_ID_REGEX.test(id)) {
+        problems.push("Bad entry in KEYS, expected '<id>:<secret>'");
+        return;
+      }
+      keys[id.toLowerCase()] = e.substr(sep + 1);
+      currentId = id.toLowerCase();
+    });
+
+  return { keys, currentId, problems };
+}
+
+const processKeyring = parseKeyring(process.env);
+const keyringContext = new AsyncLocalStorage();
+
+// {KEY?, KEYS?} => keyring for withKeyring()
+function createKeyring(env) {
+  return parseKeyring(env);
+}
+
+// Runs fn (and everything async it starts) with these keys
+function withKeyring(keyring, fn) {
+  return keyringContext.run(keyring, fn);
+}
+
+function activeKeyring() {
+  return keyringContext.getStore() || processKeyring;
+}
+
+function currentKeyId() {
+  return activeKeyring().currentId;
+}
+
+function hasKey(keyId) {
+  return Object.prototype.hasOwnProperty.call(activeKeyring().keys, keyId);
+}
+
+function getKey(keyId) {
+  return hasKey(keyId) ? activeKeyring().keys[keyId] : undefined;
+}
+
+function allKeyIds() {
+  return Object.keys(activeKeyring().keys);
+}
+
+function keyEntropyBits(key) {
+  // Shannon entropy of the chars, times the length
+  const counts = {};
+  [...key].forEach((c) => (counts[c] = (counts[c] || 0) + 1));
+  return Object.values(counts).reduce(
+    (bits, n) => bits - n * Math.log2(n / key.length),
+    0
+  );
+}
+
+function checkKey(keyId, key) {
+  const problems = [];
+  const entropyBits = Math.floor(keyEntropyBits(key));
+  if (key.length < MIN_KEY_LENGTH) {
+    problems.push(`shorter than ${MIN_KEY_LENGTH} chars`);
+  }
+  if (entropyBits < MIN_KEY_ENTROPY_BITS) {
+    problems.push(`less than ${MIN_KEY_ENTROPY_BITS} bits of entropy`);
+  }
+
+  return {
+    id: keyId === LEGACY_KEY_ID ? "KEY" : keyId,
+    current: keyId === activeKeyring().currentId,
+    length: key.length,
+    entropyBits,
+    ok: problems.length === 0,
+    problems
+  };
+}
+
+// Status of all keys, safe to show (never includes the keys themselves)
+function checkKeyring() {
+  const keys = allKeyIds().map((id) => checkKey(id, getKey(id)));
+  const problems = [...activeKeyring().problems];
+  if (keys.length === 0) {
+    problems.push("No server key, set KEY or KEYS");
+  }
+  keys
+    .filter((e) => !e.ok)
+    .forEach((e) => problems.push(`Key '${e.id}' is ${e.problems.join(", ")}`));
+
+  return { ok: problems.length === 0, keys, problems };
+}
+
+function tagKeyId(keyId, text) {
+  return keyId === LEGACY_KEY_ID ? text : `k${keyId}:${text}`;
+}
+
+// "k2:abc" -> {keyId: "2", body: "abc"}, "abc" -> {keyId: "", body: "abc"}
+function untagKeyId(text) {
+  const match = `${text || ""}`.match(KEY_TAG_REGEX);
+  if (!match) return { keyId: LEGACY_KEY_ID, body: `${text || ""}` };
+  return { keyId: match[1].toLowerCase(), body: text.substr(match[0].length) };
+}
+
+module.exports = {
+  LEGACY_KEY_ID,
+  createKeyring,
+  withKeyring,
+  currentKeyId,
+  hasKey,
+  getKey,
+  allKeyIds,
+  checkKeyring,
+  tagKeyId,
+  untagKeyId
+};
@@ -0,0 +1,241 @@
+const { requestSchema, allRequestSchemas } = require("./schemas");
+const { ERROR_VERSION, ERROR_STATUS } = require("./errors");
+
+// OpenAPI 3 document of the api, served at /api/openapi.json. Request
+//    bodies come from schemas.js (what is really checked), the rest is here.
+
+const str = { type: "string" };
+const ms = { type: "integer", description: "Unix time (ms)" };
+const obj = (properties, required) => ({
+  type: "object",
+  ...(required ? { required } : {}),
+  properties
+});
+
+const unlockWindow = obj(
+  {
+    from: ms,
+    to: ms,
+    proof: { type: "string", description: "Unlock proof for finish" },
+    usesLeft: { type: "integer", description: "Only for single use proofs" }
+  },
+  ["from", "to", "proof"]
+);
+const enckeys = obj(
+  { enckey: { type: "array", items: str, description: "One for each salt" } },
+  ["enckey"]
+);
+
+const routes = {
+  "/api/setup": {
+    summary: "Make time tokens",
+    description:
+      "One salt and token proof for each time. Print the proofs and the " +
+      "salts, then throw the proofs away (like in a safe).",
+    response: obj({
+      tokens: {
+        type: "array",
+        items: obj({ name: str, salt: str, proof: str })
+      },
+      salt: str
+    })
+  },
+  "/api/enc": {
+    summary: "Lock a password",
+    description: "Encrypt a password bound to each salt (and vault options).",
+    response: enckeys
+  },
+  "/api/enchash": {
+    summary: "Encrypt hash secrets with a password",
+    description: "For the sha-step\\otp-step modes of /api/unlock/finish.",
+    response: obj({ encparts: { type: "array", items: str } })
+  },
+  "/api/unlock/begin": {
+    summary: "Start waiting for an unlock",
+    description:
+      "With a token proof, get an unlock window that opens after the " +
+      "token time (and the vault options).",
+    response: unlockWindow
+  },
+  "/api/unlock/finish": {
+    summary: "Unlock",
+    description: "Inside the unlock window, get the password (or hash step).",
+    response: obj({
+      pass: str,
+      timeLeftOpen: str,
+      hashstep: str,
+      unlocks: { type: "integer", description: "Only with server state" },
+      usesLeft: { type: "integer", description: "Only for single use proofs" }
+    })
+  },
+  "/api/unlock/cancel": {
+    summary: "Cancel an unlock",
+    description: "Get a signed receipt, and revoke it (with server state).",
+    response: obj({
+      canceled: ms,
+      cancelproof: str,
+      revoked: { type: "boolean" }
+    })
+  },
+  "/api/unlock/cancel/check": {
+    summary: "Check a cancel receipt",
+    response: obj({ valid: { type: "boolean" } })
+  },
+  "/api/rewrap": {
+    summary: "Move a vault to new tokens",
+    description:
+      "Like finish + /api/enc, the password never leaves the server.",
+    response: obj(
+      {
+        ...enckeys.properties,
+        unlocks: { type: "integer", description: "Only with server state" },
+        usesLeft: { type: "integer", description: "Only for single use proofs" }
+      },
+      ["enckey"]
+    )
+  },
+  "/api/lock/extend": {
+    summary: "Make the lock of a vault longer",
+    response: obj({ enckey: str, minlock: str })
+  },
+  "/api/temp/begin": {
+    summary: "Prove you had a token now",
+    description: "Get a temp proof, to unlock later on another device.",
+    response: obj({ from: ms, tempproof: str })
+  },
+  "/api/temp/fastcopy": {
+    summary: "Short proof to copy by hand",
+    description: "Valid for 5 minutes, the wait counts from the temp proof.",
+    response: obj({ mindiff: str, fastproof: str })
+  },
+  "/api/temp/unlock": {
+    summary: "Start waiting for an unlock, with a fast copy proof",
+    response: unlockWindow
+  },
+  "/api/capsule/create": {
+    summary: "Seal a password until a date",
+    response: obj({ capsule: str, until: ms })
+  },
+  "/api/capsule/open": {
+    summary: "Open a capsule after its date",
+    response: obj({ pass: str, openedAfter: str })
+  }
+};
+
+const getRoutes = {
+  "/api/health": {
+    summary: "Server health and version",
+    response: { type: "string" }
+  },
+  "/api/health/keys": {
+    summary: "Server key status (never the keys)",
+    response: obj({
+      ok: { type: "boolean" },
+      keys: { type: "array", items: { type: "object" } },
+      problems: { type: "array", items: str }
+    })
+  },
+  "/api/schemas": {
+    summary: "JSON Schema of each request body",
+    response: { type: "object" }
+  },
+  "/api/openapi.json": {
+    summary: "This document",
+    response: { type: "object" }
+  },
+  "/api/client.js": {
+    summary: "Javascript client (window.Timelock), see client/timelock.js",
+    response: { type: "string" }
+  }
+};
+
+const errorSchema = obj(
+  {
+    error: obj(
+      {
+        version: { type: "integer", enum: [ERROR_VERSION] },
+        code: { type: "string", enum: Object.keys(ERROR_STATUS) },
+        message: { type: "string", description: "For people, may change" },
+        details: {
+          type: "object",
+          description: "Like secondsLeft, or fields for bad params"
+        }
+      },
+      ["version", "code", "message"]
+    )
+  },
+  ["error"]
+);
+
+function operation(route, { summary, description, response }, hasBody) {
+  // Without $schema\$id, OpenAPI 3.0 has its own schema dialect
+  const { $schema, $id, ...body } = hasBody ? requestSchema(route) : {};
+  return {
+    summary,
+    ...(description ? { description } : {}),
+    operationId: route.replace(/^\/api\//, "").replace(/[/.]/g, "_"),
+    parameters: [{ $ref: "#/components/parameters/ErrorFormat" }],
+    ...(hasBody
+      ? {
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": { schema: body },
+              "application/x-www-form-urlencoded": { schema: body }
+            }
+          }
+        }
+      : {}),
+    responses: {
+      200: {
+        description: "OK",
+        content: { "application/json": { schema: response } }
+      },
+      default: {
+        description: "Error, see the code",
+        content: {
+          "application/json": {
+            schema: { $ref: "#/components/schemas/Error" }
+          }
+        }
+      }
+    }
+  };
+}
+
+function openapiDocument(version) {
+  const paths = {};
+  Object.keys(allRequestSchemas()).forEach((route) => {
+    paths[route] = { post: operation(route, routes[route], true) };
+  });
+  Object.keys(getRoutes).forEach((route) => {
+    paths[route] = { get: operation(route, getRoutes[route], false) };
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "123timelock server",
+      description:
+        "Lock passwords behind time tokens. See the README for the formats.",
+      version: version || "dev"
+    },
+    paths,
+    components: {
+      schemas: { Error: errorSchema },
+      parameters: {
+        ErrorFormat: {
+          name: "X-Error-Format",
+          in: "header",
+          required: false,
+          description: "'legacy' for the old 200 {err} errors",
+          schema: { type: "string", enum: ["v2", "legacy"] }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  openapiDocument
+};
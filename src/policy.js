@@ -0,0 +1,84 @@
+const { parseTimeStrict } = require("./utils");
+
+// Unlock policy of a vault ("l" in the envelope), for self control:
+//    n   - max unlock windows in any `per` seconds (rolling)
+//    per - seconds, 1 day by default
+//    gap - min seconds from the end of a window to the start of the next
+// Needs server state to remember the windows of each vault, by the vault
+//    id (v) all the enckeys of one /enc share, so it counts for all tokens.
+
+// "1d" => seconds, or null if it isn't a duration
+function durationSec(text) {
+  const parsed = parseTimeStrict(text);
+  return parsed.err || parsed.until !== undefined ? null : parsed.sec;
+}
+
+// {maxunlocks?, per?, mingap?} => {policy} or {} if none, or {err}
+function parseUnlockPolicy(body) {
+  const policy = {};
+
+  if (body["maxunlocks"] !== undefined) {
+    const max = parseInt(body["maxunlocks"], 10);
+    if (!(max > 0)) {
+      return { err: "maxunlocks must be a positive number" };
+    }
+    policy.n = max;
+    policy.per = durationSec(body["per"] || "1d");
+    if (!policy.per) {
+      return { err: `Can't parse per: '${body["per"]}'` };
+    }
+  }
+  if (body["mingap"]) {
+    policy.gap = durationSec(body["mingap"]);
+    if (!policy.gap) {
+      return { err: `Can't parse mingap: '${body["mingap"]}'` };
+    }
+  }
+
+  return Object.keys(policy).length > 0 ? { policy } : {};
+}
+
+// windows - earlier windows of the vault [{issued, from, to}] (ms)
+// window  - the new one {from, to}
+// => {next} (ms) the time begin is allowed again, or {} if allowed now
+function checkUnlockPolicy(policy, windows, window, now) {
+  let next = now;
+
+  if (policy.n) {
+    const recent = windows
+      .filter((e) => e.issued > now - policy.per * 1000)
+      .sort((a, b) => a.issued - b.issued);
+    if (recent.length >= policy.n) {
+      // wait for enough of them to leave the period
+      next = Math.max(
+        next,
+        recent[recent.length - policy.n].issued + policy.per * 1000
+      );
+    }
+  }
+
+  if (policy.gap && windows.length > 0) {
+    const lastEnd = Math.max(...windows.map((e) => e.to));
+    const earliestFrom = lastEnd + policy.gap * 1000;
+    if (window.from < earliestFrom) {
+      // begin later by the same amount, so the window starts in time
+      next = Math.max(next, now + (earliestFrom - window.from));
+    }
+  }
+
+  return next > now ? { next } : {};
+}
+
+// How long to keep the windows of a vault for this policy (ms)
+function policyMemoryMs(policy, window, now) {
+  return (
+    Math.max(window.to - now, 0) +
+    ((policy.per || 0) + (policy.gap || 0)) * 1000
+  );
+}
+
+module.exports = {
+  parseUnlockPolicy,
+  checkUnlockPolicy,
+  policyMemoryMs
+};
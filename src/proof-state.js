@@ -0,0 +1,118 @@
+const { createHash } = require("crypto");
+const { normalizeProof } = require("./verify");
+const { getStorage } = require("./storage");
+const clock = require("./clock");
+
+// State of the unlock proofs we gave out, only when storage is on (see
+//    storage/index.js), otherwise all of these do nothing.
+//    Kept until the window ends, after that the proof is useless anyway.
+
+function proofId(proof) {
+  return createHash("sha256").update(normalizeProof(proof)).digest("hex");
+}
+
+function ttlUntil(until) {
+  return Math.max(until.getTime() - clock.now(), 1000);
+}
+
+// info - {from, to, issued}, kept so the store shows which windows were
+//    given out (and for how long they are still good)
+async function recordProof(proof, info, until) {
+  const storage = getStorage();
+  if (!storage) return;
+  await storage.set(`proof:${proofId(proof)}`, info, { ttl: ttlUntil(until) });
+}
+
+// => true if it will be rejected from now on
+async function revokeProof(proof, until) {
+  const storage = getStorage();
+  if (!storage) return false;
+  await storage.set(`revoked:${proofId(proof)}`, clock.now(), {
+    ttl: ttlUntil(until)
+  });
+  return true;
+}
+
+async function isProofRevoked(proof) {
+  const storage = getStorage();
+  if (!storage) return false;
+  return !!(await storage.get(`revoked:${proofId(proof)}`));
+}
+
+// => false if this nonce was already spent, needs storage on
+async function spendNonce(nonce, until) {
+  const storage = getStorage();
+  if (!storage) return false;
+  return storage.set(`spent:${nonce}`, clock.now(), {
+    ttl: ttlUntil(until),
+    nx: true
+  });
+}
+
+// vault - the vault id (v) all enckeys of one /enc share, or the salt
+//    for vaults made before it
+function vaultId(vault) {
+  return createHash("sha256").update(`vault|${vault}`).digest("hex");
+}
+
+// Unlock windows given out for this vault, [] if stateless
+async function getVaultWindows(vault) {
+  const storage = getStorage();
+  if (!storage) return [];
+  return (await storage.get(`windows:${vaultId(vault)}`)) || [];
+}
+
+// window - {issued, from, to}, keepMs - how long the history matters
+async function recordVaultWindow(vault, window, keepMs) {
+  const storage = getStorage();
+  if (!storage) return;
+  const now = clock.now();
+  const windows = (await getVaultWindows(vault)).filter(
+    (e) => e.to > now - keepMs
+  );
+  await storage.set(`windows:${vaultId(vault)}`, [...windows, window], {
+    ttl: keepMs
+  });
+}
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_MS = 25;
+const LOCK_TRIES = 200;
+
+// Runs fn with the vault to itself, so two begins can't both read the
+//    windows before either records one. The lock is a key set with nx,
+//    atomic in every driver (redis too), dropped after LOCK_TTL_MS if we
+//    die holding it. => result of fn, or null if the vault stayed busy
+async function withVaultLock(vault, fn) {
+  const storage = getStorage();
+  if (!storage) return fn();
+  const key = `lock:${vaultId(vault)}`;
+  for (let i = 0; ; i++) {
+    if (await storage.set(key, 1, { ttl: LOCK_TTL_MS, nx: true })) break;
+    if (i >= LOCK_TRIES) return null;
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+  try {
+    return await fn();
+  } finally {
+    await storage.del(key);
+  }
+}
+
+// => how many times this proof was used to unlock, or null if stateless
+async function recordUnlock(proof, until) {
+  const storage = getStorage();
+  if (!storage) return null;
+  return storage.incr(`unlocks:${proofId(proof)}`, ttlUntil(until));
+}
+
+module.exports = {
+  recordProof,
+  revokeProof,
+  isProofRevoked,
+  spendNonce,
+  getVaultWindows,
+  recordVaultWindow,
+  withVaultLock,
+  recordUnlock
+};
@@ -0,0 +1,196 @@
+// Unlock schedule of a vault ("w" in the envelope), like
+//    "weekdays 18:00-22:00 Europe/Berlin"
+//    "mon,wed-fri 18:00-22:00 Asia/Jerusalem; sat 22:00-02:00"
+// Rules split by ";", each is <days> <from>-<to> [<time zone>]:
+//    days - mon..sun, ranges (mon-fri), lists (sat,sun), or
+//           daily\weekdays\weekends
+//    to before from crosses midnight, time zone is UTC if not given
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const MINUTE_MS = 60 * 1000;
+const DAY_MIN = 24 * 60;
+const SEARCH_LIMIT_MIN = 8 * 24 * 60; // Every rule comes back within a week
+
+const formatters = {};
+function formatterFor(tz) {
+  if (!formatters[tz]) {
+    formatters[tz] = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    });
+  }
+  return formatters[tz];
+}
+
+function parseDays(text) {
+  const days = [];
+  for (const part of text.toLowerCase().split(",")) {
+    if (DAY_GROUPS[part]) {
+      days.push(...DAY_GROUPS[part]);
+      continue;
+    }
+    const [first, last = first] = part.split("-").map((e) => DAYS.indexOf(e));
+    if (first < 0 || last < 0) return null;
+    for (let d = first; ; d = (d + 1) % 7) {
+      days.push(d);
+      if (d === last) break;
+    }
+  }
+  return [...new Set(days)];
+}
+
+function parseClock(text) {
+  const match = `${text}`.match(/^([01]?[0-9]|2[0-3]):([0-5][0-9])$/);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// => {rules} or {err}
+function parseSchedule(text) {
+  const rules = [];
+  for (const ruleText of `${text || ""}`.split(";")) {
+    if (!ruleText.trim()) continue;
+    const [daysText, hoursText, tz = "UTC", ...rest] = ruleText
+      .trim()
+      .split(/\s+/);
+    const days = parseDays(daysText);
+    const [start, end] = `${hoursText}`.split(/[-\u2013]/).map(parseClock);
+
+    if (rest.length > 0 || !days || start === null || end === null) {
+      return { err: `Bad schedule rule: '${ruleText.trim()}'` };
+    }
+    if (start === end) {
+      return { err: `Empty schedule hours: '${hoursText}'` };
+    }
+    try {
+      formatterFor(tz);
+    } catch (e) {
+      return { err: `Unknown time zone in schedule: '${tz}'` };
+    }
+
+    rules.push({ days, start, end, tz });
+  }
+
+  return rules.length > 0 ? { rules } : { err: "Empty schedule" };
+}
+
+// => {day: 0-6, min: minute of the day} in the time zone
+function localTime(date, tz) {
+  const parts = {};
+  formatterFor(tz)
+    .formatToParts(date)
+    .forEach((e) => (parts[e.type] = e.value));
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    min: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function ruleAllows(rule, date) {
+  const { day, min } = localTime(date, rule.tz);
+  if (rule.start < rule.end) {
+    return rule.days.includes(day) && min >= rule.start && min < rule.end;
+  }
+  // crosses midnight, the part after it belongs to the day before
+  return (
+    (rule.days.includes(day) && min >= rule.start) ||
+    (rule.days.includes((day + 6) % 7) && min < rule.end)
+  );
+}
+
+function inSchedule(rules, date) {
+  return rules.some((rule) => ruleAllows(rule, date));
+}
+
+// Minutes from `t` (ms, a whole minute) to the next local from\to of any
+//    rule, being in the schedule only changes there (midnight included,
+//    see ruleAllows)
+function minutesToNextEdge(rules, t) {
+  let minutes = DAY_MIN;
+  rules.forEach((rule) => {
+    const { min } = localTime(new Date(t), rule.tz);
+    [rule.start, rule.end].forEach((edge) => {
+      minutes = Math.min(minutes, (edge - min + DAY_MIN) % DAY_MIN || DAY_MIN);
+    });
+  });
+  return minutes;
+}
+
+// => first whole minute after `t` (ms, a whole minute) where being in the
+//    schedule changes, or null if not within SEARCH_LIMIT_MIN
+function nextChange(rules, t) {
+  const was = inSchedule(rules, new Date(t));
+  const limit = t + SEARCH_LIMIT_MIN * MINUTE_MS;
+  while (t < limit) {
+    const next = t + minutesToNextEdge(rules, t) * MINUTE_MS;
+    if (inSchedule(rules, new Date(next)) !== was) {
+      // Mostly `next` itself, but a DST jump can move the change before it
+      let low = t;
+      let high = next;
+      while (high - low > MINUTE_MS) {
+        const mid = low + Math.floor((high - low) / MINUTE_MS / 2) * MINUTE_MS;
+        if (inSchedule(rules, new Date(mid)) === was) low = mid;
+        else high = mid;
+      }
+      return high;
+    }
+    t = next;
+  }
+  return null;
+}
+
+// => first time from `date` on that is in the schedule, or null
+function nextInSchedule(rules, date) {
+  if (inSchedule(rules, date)) return date;
+  const t = Math.ceil(date.getTime() / MINUTE_MS) * MINUTE_MS;
+  if (inSchedule(rules, new Date(t))) return new Date(t);
+  const next = nextChange(rules, t);
+  return next === null ? null : new Date(next);
+}
+
+// => when the slot `date` is in ends (date must be in the schedule)
+function slotEnd(rules, date) {
+  const t = Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  if (!inSchedule(rules, new Date(t))) return new Date(t);
+  const next = nextChange(rules, t);
+  return new Date(next === null ? t + SEARCH_LIMIT_MIN * MINUTE_MS : next);
+}
+
+// Move an unlock window forward to the next slot, and cut it at the
+//    slot end => {startTime, endTime} or null if never in the schedule
+function fitWindowToSchedule(rules, startTime, endTime) {
+  const start = nextInSchedule(rules, startTime);
+  if (!start) return null;
+  const end = Math.min(
+    start.getTime() + (endTime - startTime),
+    slotEnd(rules, start).getTime()
+  );
+  return { startTime: start, endTime: new Date(end) };
+}
+
+// Unlock window for a vault (from decryptVault), fitted to its schedule
+//    if it has one => {startTime, endTime} or {err}
+function fitWindowToVault(vault, startTime, endTime) {
+  if (!vault || !vault.w) return { startTime, endTime };
+  const { rules, err } = parseSchedule(vault.w);
+  if (err) return { err };
+  return (
+    fitWindowToSchedule(rules, startTime, endTime) || {
+      err: "Unlock schedule of this vault never opens"
+    }
+  );
+}
+
+module.exports = {
+  parseSchedule,
+  inSchedule,
+  nextInSchedule,
+  fitWindowToSchedule,
+  fitWindowToVault
+};
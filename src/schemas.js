@@ -0,0 +1,249 @@
+// Request body of each route, as JSON Schema (draft-07), see validate.js
+//    for how they are checked. Published at /api/schemas.
+
+const DRAFT = "http://json-schema.org/draft-07/schema#";
+
+// Upper bounds, past them times turn into NaN (or windows that never end)
+const MAX_DATE_MS = 8.64e15; // the last date a Date can hold
+const MAX_MINUTES = 366 * 24 * 60;
+
+const text = (description) => ({ type: "string", description });
+const ms = (description) => ({
+  type: "integer",
+  minimum: 0,
+  maximum: MAX_DATE_MS,
+  description
+});
+const minutes = (description, extra) => ({
+  type: "integer",
+  maximum: MAX_MINUTES,
+  description,
+  ...extra
+});
+const texts = (description) => ({
+  type: "array",
+  items: { type: "string" },
+  description: description + " (a single value is taken as a list of one)"
+});
+
+const vaultFields = {
+  tokens: texts("Token name for each salt, bound to its enckey"),
+  minlock: text("Min lock of the vault on top of the token time, like '2d'"),
+  maxunlocks: {
+    type: "integer",
+    minimum: 1,
+    description: "Max unlock windows in any `per` (needs server state)"
+  },
+  per: text("Period of maxunlocks, '1d' by default"),
+  mingap: text("Min time from the end of a window to the next one"),
+  schedule: text("When unlocks are allowed, like 'mon-fri 18:00-22:00'")
+};
+
+const windowFields = {
+  enckey: text("Encrypted key from /api/enc"),
+  from: ms("Unlock window start (ms) from /api/unlock/begin"),
+  to: ms("Unlock window end (ms) from /api/unlock/begin"),
+  proof: text("Unlock proof from /api/unlock/begin"),
+  salt: text("Salt of the token the vault was locked with")
+};
+
+const routes = {
+  "/api/setup": {
+    properties: {
+      time: {
+        ...texts("Token times, like '3h' or 'until:2030-01-01'"),
+        default: ["15m", "30m", "3h", "2d"]
+      },
+      salttime: {
+        type: "boolean",
+        default: true,
+        description: "Include the creation time in the salts"
+      },
+      tokenformat: {
+        type: "string",
+        enum: ["strong", "legacy"],
+        default: "strong",
+        description: "Short legacy tokens, only while they are allowed"
+      }
+    }
+  },
+  "/api/enc": {
+    required: ["pass", "salts"],
+    properties: {
+      pass: text("Password to lock"),
+      salts: texts("Salt of each token to lock with"),
+      ...vaultFields
+    }
+  },
+  "/api/enchash": {
+    required: ["pass", "hashparts"],
+    properties: {
+      pass: text("Password from /api/unlock/finish"),
+      hashparts: texts("Hash secrets to encrypt with the password")
+    }
+  },
+  "/api/unlock/begin": {
+    required: [
+      "enckey",
+      "token",
+      "tokenproof",
+      "offsetstartmin",
+      "duration",
+      "salt"
+    ],
+    properties: {
+      enckey: text("Encrypted key from /api/enc"),
+      token: text("Token name (time)"),
+      tokenproof: text("Token proof from /api/setup"),
+      offsetstartmin: minutes(
+        "Minutes to wait on top of the token time (0 if negative)"
+      ),
+      duration: minutes("Minutes the unlock window stays open", {
+        minimum: 1
+      }),
+      salt: text("Salt of the token"),
+      singleuse: {
+        type: "boolean",
+        default: false,
+        description: "Proof works for one unlock only (needs server state)"
+      }
+    }
+  },
+  "/api/unlock/finish": {
+    required: ["enckey", "from", "to", "proof", "salt"],
+    properties: {
+      ...windowFields,
+      mode: {
+        type: "string",
+        enum: ["simple", "sha-step", "otp-step"],
+        default: "simple",
+        description: "Give the password, or only a hash step made with it"
+      },
+      hashtype: text("Hash for the sha\\otp step modes"),
+      hashstate: text("Hash state to continue from (sha-step)"),
+      hashsecret: text("Part from /api/enchash"),
+      hashextra: {
+        type: "string",
+        pattern: "^\\s*\\[\\s*(-?[0-9]+\\s*(,\\s*-?[0-9]+\\s*)*)?\\]\\s*$",
+        description:
+          "JSON array of bits (sjcl words) to hash after the secret (otp-step)"
+      }
+    }
+  },
+  "/api/unlock/cancel": {
+    required: ["enckey", "from", "to", "proof", "salt"],
+    properties: { ...windowFields }
+  },
+  "/api/unlock/cancel/check": {
+    required: ["proof", "canceled", "cancelproof"],
+    properties: {
+      proof: text("The canceled unlock proof"),
+      canceled: ms("Cancel time (ms) from /api/unlock/cancel"),
+      cancelproof: text("Cancel proof from /api/unlock/cancel")
+    }
+  },
+  "/api/rewrap": {
+    required: ["enckey", "from", "to", "proof", "salt", "salts"],
+    properties: {
+      ...windowFields,
+      salts: texts("Salt of each new token to lock with"),
+      ...vaultFields
+    }
+  },
+  "/api/lock/extend": {
+    required: ["enckey", "minlock"],
+    properties: {
+      enckey: text("Encrypted key from /api/enc"),
+      minlock: text("New min lock, longer than the current one")
+    }
+  },
+  "/api/temp/begin": {
+    required: ["token", "tokenproof", "salt"],
+    properties: {
+      token: text("Token name (time)"),
+      tokenproof: text("Token proof from /api/setup"),
+      salt: text("Salt of the token")
+    }
+  },
+  "/api/temp/fastcopy": {
+    required: ["token", "tempproof", "from", "salt"],
+    properties: {
+      token: text("Token name (time)"),
+      tempproof: text("Temp proof from /api/temp/begin"),
+      from: ms("Temp proof time (ms) from /api/temp/begin"),
+      salt: text("Salt of the token")
+    }
+  },
+  "/api/temp/unlock": {
+    required: ["token", "salt", "mindiff", "fastproof", "enckey"],
+    properties: {
+      token: text("Token name (time)"),
+      salt: text("Salt of the token"),
+      mindiff: {
+        type: "string",
+        pattern: "^[0-9]+$",
+        description: "Minutes waited, as given by /api/temp/fastcopy"
+      },
+      fastproof: text("Fast copy proof from /api/temp/fastcopy"),
+      enckey: text("Encrypted key from /api/enc"),
+      duration: minutes("Minutes the unlock window stays open", {
+        minimum: 1,
+        default: 15
+      })
+    }
+  },
+  "/api/capsule/create": {
+    required: ["pass", "until"],
+    properties: {
+      pass: text("Password to seal"),
+      until: text("Release date, ISO or ms")
+    }
+  },
+  "/api/capsule/open": {
+    required: ["capsule"],
+    properties: {
+      capsule: text("Capsule from /api/capsule/create")
+    }
+  }
+};
+
+// Only when on, not in /api/schemas (see dev-clock.js)
+const devRoutes = {
+  "/api/dev/clock": {
+    properties: {
+      action: {
+        type: "string",
+        enum: ["status", "freeze", "unfreeze", "advance", "set", "reset"],
+        default: "status",
+        description: "What to do with the server clock"
+      },
+      by: text("Time to advance by, like '1h' or '-30m'"),
+      at: text("Time to set or freeze at, ISO or ms")
+    }
+  }
+};
+
+// route => full JSON Schema of its body
+function requestSchema(route) {
+  const { required, properties } = routes[route] || devRoutes[route];
+  return {
+    $schema: DRAFT,
+    $id: `${route}#request`,
+    type: "object",
+    ...(required ? { required } : {}),
+    properties
+  };
+}
+
+function allRequestSchemas() {
+  const result = {};
+  Object.keys(routes).forEach((route) => {
+    result[route] = requestSchema(route);
+  });
+  return result;
+}
+
+module.exports = {
+  requestSchema,
+  allRequestSchemas
+};
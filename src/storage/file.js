@@ -0,0 +1,25 @@
+const fs = require("fs");
+const { createMemoryStore } = require("./memory");
+
+// Memory store that is saved to a JSON file on every change.
+//    For a single server process, not for many writers.
+function createFileStore(path) {
+  let items = new Map();
+  if (fs.existsSync(path)) {
+    items = new Map(Object.entries(JSON.parse(fs.readFileSync(path, "utf8"))));
+  }
+
+  return createMemoryStore({
+    items,
+    onChange: (changedItems) => {
+      // Write aside and rename, so a crash never leaves half a file
+      fs.writeFileSync(
+        path + ".tmp",
+        JSON.stringify(Object.fromEntries(changedItems))
+      );
+      fs.renameSync(path + ".tmp", path);
+    }
+  });
+}
+
+module.exports = { createFileStore };
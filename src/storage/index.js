@@ -0,0 +1,44 @@
+const { createMemoryStore } = require("./memory");
+const { createFileStore } = require("./file");
+
+// Optional server state, the server stays stateless unless STORAGE is set:
+//    STORAGE=memory       - in process, lost on restart
+//    STORAGE=file:<path>  - JSON file, for a single server process
+//
+// A driver is any object with these async (promise) methods, same as the
+// matching redis commands, so a redis-like client can be plugged in with
+// useStorage():
+//    get(key)                  => value or null
+//    set(key, value, {ttl,nx}) => false if nx and key was already set
+//    del(key)
+//    incr(key, ttl)            => new count
+// Values are anything JSON, ttl is in ms.
+function storageFromEnv(env) {
+  const type = env.STORAGE || "";
+  if (!type) return null;
+  if (type === "memory") return createMemoryStore();
+  if (type.startsWith("file:")) return createFileStore(type.substr(5));
+  throw new Error(`Unknown STORAGE: '${type}'`);
+}
+
+let storage = undefined;
+
+function getStorage() {
+  if (storage === undefined) storage = storageFromEnv(process.env);
+  return storage;
+}
+
+// null for stateless
+function useStorage(driver) {
+  storage = driver;
+}
+
+function storageEnabled() {
+  return !!getStorage();
+}
+
+module.exports = {
+  getStorage,
+  useStorage,
+  storageEnabled
+};
@@ -0,0 +1,59 @@
+const clock = require("../clock");
+
+// In process store, values are kept as JSON so they behave like in any
+//    other driver (no shared objects). ttl is in ms.
+//    items\onChange - used by the file driver to load and save.
+//    Expires by the server clock, so moving it (clock.js) expires items too
+function createMemoryStore({ items = new Map(), onChange = () => {} } = {}) {
+  function alive(key) {
+    const item = items.get(key);
+    if (!item) return null;
+    if (item.expires && item.expires <= clock.now()) {
+      items.delete(key);
+      return null;
+    }
+    return item;
+  }
+
+  function changed() {
+    items.forEach((item, key) => alive(key)); // drop expired
+    onChange(items);
+  }
+
+  async function get(key) {
+    const item = alive(key);
+    return item ? JSON.parse(item.value) : null;
+  }
+
+  // {nx: true} only if not set yet (like redis SET NX), => false if it was
+  async function set(key, value, { ttl, nx } = {}) {
+    if (nx && alive(key)) return false;
+    items.set(key, {
+      value: JSON.stringify(value),
+      expires: ttl ? clock.now() + ttl : 0
+    });
+    changed();
+    return true;
+  }
+
+  async function del(key) {
+    items.delete(key);
+    changed();
+  }
+
+  // => new count, ttl only when the key is created
+  async function incr(key, ttl) {
+    const item = alive(key);
+    const count = (item ? JSON.parse(item.value) : 0) + 1;
+    items.set(key, {
+      value: JSON.stringify(count),
+      expires: item ? item.expires : ttl ? clock.now() + ttl : 0
+    });
+    changed();
+    return count;
+  }
+
+  return { get, set, del, incr };
+}
+
+module.exports = { createMemoryStore };
@@ -1,32 +1,41 @@
-const { padDigits, parseTimeSafeSec } = require("./utils");
-const { hmac, getTimeToken, getTimeEndedProof } = require("./crypto");
+const { padDigits, tokenWaitSec } = require("./utils");
+const {
+  decryptVault,
+  vaultMinWaitSec,
+  getTempTimeToken,
+  getFastTempProof,
+  getTimeEndedProof
+} = require("./crypto");
+const { fitWindowToVault } = require("./schedule");
+const { apiError } = require("./errors");
+const {
+  verifyTimeToken,
+  verifyTempTimeToken,
+  verifyFastTempToken
+} = require("./verify");
+
+// Temp flow, without http (see core.js): each one => result or {err},
+//    `now` is the time (ms) to use
+
+function tempTokenBegin(salt, time_string, time_token, now) {
+  if (!verifyTimeToken(salt, time_string, time_token, now)) {
+    return apiError(
+      "TOKEN_INVALID",
+      `Can't validate time token: '${time_token}'`
+    );
+  }
 
-function getTempTimeToken(time_string, salt, timeCreated) {
-  // long token to help you proove you had the key (token) in time X
-  return "temp_" + hmac("temp_" + salt + time_string + timeCreated);
-}
+  // This will be sent to us so exact date + long hash:
+  let createTime = now;
+  let tempProof = getTempTimeToken(time_string, salt, createTime);
 
-function getISOMin(d) {
-  // '2021-10-11T19:03:14.619Z' -> '2021-10-11T19:03'
-  return d.toISOString().split(/:[0-9]{2}\./)[0];
+  return { from: createTime, tempproof: tempProof };
 }
 
-function tempTokenBeginAPI(salt, time_string, time_token, callback) {
-  if (getTimeToken(salt, time_string) !== time_token) {
-    callback({ err: `Can't validate time token: '${time_token}'` });
-  } else {
-    // This will be sent to us so exact date + long hash:
-    let createTime = Date.now();
-    let tempProof = getTempTimeToken(time_string, salt, createTime);
-
-    callback({ from: createTime, tempproof: tempProof });
-  }
-}
-
-function getFastTempTimeToken(time_string, salt, createTime) {
+function getFastTempTimeToken(time_string, salt, createTime, nowTime) {
   // short text to copy to other device that will work for 2 minute
   // after you show the temp proof
-  let now = new Date();
+  let now = new Date(nowTime);
   let nowInSec = Math.round((now.getTime() - createTime) / 1000);
   let nowSecPart = nowInSec % 60;
   let nowMinPartInSec = nowInSec - nowSecPart;
@@ -34,13 +43,7 @@ function getFastTempTimeToken(time_string, salt, createTime) {
 
   let minutePassed = padDigits(nowMinPartInMin, 4);
 
-  let fastCopyStamp = getISOMin(now);
-
-  let fastTempProof = hmac(
-    [time_string, salt, minutePassed, fastCopyStamp].join("|")
-  )
-    .substr(0, 6)
-    .toUpperCase();
+  let fastTempProof = getFastTempProof(time_string, salt, minutePassed, now);
 
   return {
     mindiff: minutePassed, // minute the user waited since creation of timestamp
@@ -48,84 +51,75 @@ function getFastTempTimeToken(time_string, salt, createTime) {
   };
 }
 
-function createFastCopyTempTokenAPI(
+function createFastCopyTempToken(
   time_string,
   salt,
   createTime,
   temp_token,
-  callback
+  now
 ) {
-  if (getTempTimeToken(time_string, salt, createTime) !== temp_token) {
-    callback({ err: `Can't validate temp token: '${temp_token}'` });
-  } else {
-    let fastTokenInfo = getFastTempTimeToken(
-      time_string,
-      salt,
-      parseInt(createTime, 10)
+  if (!verifyTempTimeToken(time_string, salt, createTime, temp_token)) {
+    return apiError(
+      "TOKEN_INVALID",
+      `Can't validate temp token: '${temp_token}'`
     );
-    callback(fastTokenInfo);
   }
-}
-
-const fastCopyTempValidMin = 5;
-function verifyFastTempToken(time_string, salt, minutediff, fastproof) {
-  let d = new Date();
-
-  let fastTempValid = false;
-  for (let i = 0; i < fastCopyTempValidMin; i++) {
-    let expected_proof = hmac(
-      [time_string, salt, minutediff, getISOMin(d)].join("|")
-    )
-      .substr(0, 6)
-      .toUpperCase();
 
-    console.log(expected_proof, fastproof);
-
-    if (expected_proof === fastproof) {
-      fastTempValid = true;
-    }
-
-    d.setMinutes(d.getMinutes() - 1); // Go back 1 minute.
-  }
-
-  return fastTempValid;
+  return getFastTempTimeToken(time_string, salt, parseInt(createTime, 10), now);
 }
 
-function tempUnlockBeginAPI(
+function tempUnlockBegin(
   time_string,
   salt,
   minutediff,
   fastproof,
   duration,
   enckey,
-  callback
+  nowTime
 ) {
-  if (!verifyFastTempToken(time_string, salt, minutediff, fastproof)) {
-    callback({ err: `Can't validate fast copy proof '${fastproof}'` });
-  } else {
-    let minutesToWait =
-      parseTimeSafeSec(time_string) / 60 - parseInt(minutediff, 10);
-    if (minutesToWait < 1) minutesToWait = 1;
-
-    console.log(minutesToWait);
-
-    let d = new Date();
-    d.setMinutes(d.getMinutes() + minutesToWait);
-    let startTime = new Date(d.getTime());
-    d.setMinutes(d.getMinutes() + duration);
-    let endTime = new Date(d.getTime());
-
-    let timeProof = getTimeEndedProof(salt, startTime, endTime, enckey);
-    callback({
-      from: startTime.getTime(),
-      to: endTime.getTime(),
-      proof: timeProof
-    });
+  if (!verifyFastTempToken(time_string, salt, minutediff, fastproof, nowTime)) {
+    return apiError(
+      "PROOF_INVALID",
+      `Can't validate fast copy proof '${fastproof}'`
+    );
   }
+
+  // The wait started when the temp proof was made
+  let now = new Date(nowTime);
+  let since = new Date(now.getTime() - parseInt(minutediff, 10) * 60 * 1000);
+
+  // Never less than the vault lock, like in begin (core.js)
+  const vault = decryptVault(enckey);
+  let waitTimeSec = Math.max(
+    tokenWaitSec(time_string, since.getTime()),
+    vault ? vaultMinWaitSec(vault) : 0
+  );
+  let minutesToWait = waitTimeSec / 60 - parseInt(minutediff, 10);
+  if (minutesToWait < 1) minutesToWait = 1;
+
+  let window = fitWindowToVault(
+    vault,
+    new Date(now.getTime() + minutesToWait * 60 * 1000),
+    new Date(now.getTime() + (minutesToWait + duration) * 60 * 1000)
+  );
+  if (window.err) {
+    return apiError("SCHEDULE_INVALID", window.err);
+  }
+  let { startTime, endTime } = window;
+
+  let timeProof = getTimeEndedProof(salt, startTime, endTime, enckey, {
+    sec: waitTimeSec,
+    since: since
+  });
+  return {
+    from: startTime.getTime(),
+    to: endTime.getTime(),
+    proof: timeProof
+  };
 }
 
 module.exports = {
-  tempTokenBeginAPI,
-  createFastCopyTempTokenAPI,
-  tempUnlockBeginAPI
+  tempTokenBegin,
+  createFastCopyTempToken,
+  tempUnlockBegin
 };
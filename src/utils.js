@@ -34,10 +34,146 @@ function reverse(str) {
   return [...str].reduce((rev, currentChar) => currentChar + rev, "");
 }
 
+function getISOMin(d) {
+  // '2021-10-11T19:03:14.619Z' -> '2021-10-11T19:03'
+  return d.toISOString().split(/:[0-9]{2}\./)[0];
+}
+
 function parseTimeSafeSec(e) {
   return Math.max(parseTime(e) || 60 * 1000, 60 * 1000) / 1000;
 }
 
+// Absolute lock token names: "until:2027-01-01" (ISO date) or "until:<ms>"
+//    => ms (NaN if bad date), or null if not an absolute lock
+function parseUntil(time_string) {
+  const match = `${time_string}`.match(/^until:(.+)$/);
+  if (!match) return null;
+  return /^[0-9]+$/.test(match[1])
+    ? parseInt(match[1], 10)
+    : new Date(match[1]).getTime();
+}
+
+// Limits for new tokens (setup only, so changing them never locks out
+//    tokens that were already given out)
+function tokenTimeLimitsSec() {
+  return {
+    min: (parseTime(process.env.TOKEN_MIN_TIME || "") || 60 * 1000) / 1000,
+    max:
+      (parseTime(process.env.TOKEN_MAX_TIME || "") || 366 * 24 * 3600 * 1000) /
+      1000
+  };
+}
+
+const DURATION_UNITS = [
+  ["d", 24 * 3600],
+  ["h", 3600],
+  ["m", 60],
+  ["s", 1]
+];
+
+// 5400 => "1h30m"
+function formatDurationSec(sec) {
+  let left = Math.round(sec);
+  const parts = DURATION_UNITS.map(([unit, size]) => {
+    const count = Math.floor(left / size);
+    left -= count * size;
+    return count > 0 ? `${count}${unit}` : "";
+  });
+  return parts.join("") || "0s";
+}
+
+const DURATION_PART = /[0-9]+(?:\.[0-9]+)?\s*[a-z\u00b5\u03bc]+/gi;
+const DURATION_REGEX =
+  /^[0-9]+(?:\.[0-9]+)?\s*[a-z\u00b5\u03bc]+(?:\s*,?\s*[0-9]+(?:\.[0-9]+)?\s*[a-z\u00b5\u03bc]+)*$/i;
+
+// Token name => {sec} or {until} (ms), or {err} if we can't tell what it
+//    means. Unlike parseTimeSafeSec(), nothing falls back to 1 minute.
+function parseTimeStrict(time_string) {
+  const until = parseUntil(time_string);
+  if (until !== null) {
+    return isNaN(until)
+      ? { err: `Bad date in token: '${time_string}'` }
+      : { until };
+  }
+
+  // Only <number><unit> parts ("1h 30m", "2 days"), parse-duration skips
+  //    anything else ("1h garbage" => 1h). A plain number would be ms for
+  //    it, too easy to get wrong.
+  const text = `${time_string === undefined ? "" : time_string}`.trim();
+  const parts = DURATION_REGEX.test(text) ? text.match(DURATION_PART) : [];
+  const known = parts.length > 0 && parts.every((e) => parseTime(e) !== null);
+  const ms = known ? parseTime(text) : null;
+  if (!ms || ms < 0 || !isFinite(ms)) {
+    return { err: `Can't parse token time: '${text}'` };
+  }
+  return { sec: Math.round(ms / 1000) };
+}
+
+// Min lock of a vault ("2d") => {sec}, or {err} if it can't be parsed,
+//    is a date or is longer than TOKEN_MAX_TIME
+function parseMinLockSec(time_string) {
+  const parsed = parseTimeStrict(time_string);
+  if (parsed.err || parsed.until !== undefined) {
+    return { err: `Can't parse min lock: '${time_string}'` };
+  }
+  const { max } = tokenTimeLimitsSec();
+  if (parsed.sec > max) {
+    return {
+      err: `Min lock '${time_string}' is longer than ${formatDurationSec(max)}`
+    };
+  }
+  return { sec: parsed.sec };
+}
+
+// For new tokens => {name} the one way to write it ("60m" => "1h"),
+//    or {err} if it can't be parsed or is out of the limits
+function canonicalTimeString(time_string, now) {
+  const parsed = parseTimeStrict(time_string);
+  if (parsed.err) return parsed;
+
+  const { min, max } = tokenTimeLimitsSec();
+  // Absolute locks by how far away they are, dates in the past too
+  const absolute = parsed.until !== undefined;
+  const sec = absolute ? (parsed.until - now) / 1000 : parsed.sec;
+  if (sec > max) {
+    return {
+      err: `Token time '${time_string}' is longer than ${formatDurationSec(
+        max
+      )}`
+    };
+  }
+  if (sec < min) {
+    return {
+      err: absolute
+        ? `Token date '${time_string}' is less than ${formatDurationSec(
+            min
+          )} away`
+        : `Token time '${time_string}' is shorter than ${formatDurationSec(
+            min
+          )}`
+    };
+  }
+  if (absolute) {
+    return { name: `until:${new Date(parsed.until).toISOString()}` };
+  }
+  return { name: formatDurationSec(sec) };
+}
+
+// The one value every proof is made over, so "1h", "60m" and "3600s" all
+//    give the same proofs: seconds for durations, ms for absolute locks
+function timeKey(time_string) {
+  const until = parseUntil(time_string);
+  return until === null ? `${parseTimeSafeSec(time_string)}` : `${until}`;
+}
+
+// How long a token makes you wait (whole sec, like the proofs) when waiting
+//    since `since` (ms), absolute locks wait until their date
+function tokenWaitSec(time_string, since) {
+  const until = parseUntil(time_string);
+  if (until === null) return Math.ceil(parseTimeSafeSec(time_string));
+  return Math.max(Math.ceil((until - since) / 1000), 0);
+}
+
 module.exports = {
   padDigits,
 
@@ -45,5 +181,14 @@ module.exports = {
   fromSafeURL,
 
   reverse,
-  parseTimeSafeSec
+  getISOMin,
+  parseTimeSafeSec,
+  parseUntil,
+  parseTimeStrict,
+  parseMinLockSec,
+  tokenTimeLimitsSec,
+  canonicalTimeString,
+  timeKey,
+  formatDurationSec,
+  tokenWaitSec
 };
@@ -0,0 +1,112 @@
+const { requestSchema } = require("./schemas");
+const { apiError } = require("./errors");
+
+// Checks a body against its schema (only the JSON Schema parts schemas.js
+//    uses), coercing like a form would send it: "5" for an integer,
+//    "true"\"1" for a boolean, one value for an array. Empty ("", null)
+//    is the same as missing.
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// value => {value} coerced, or {error}
+function coerce(schema, value) {
+  switch (schema.type) {
+    case "string": {
+      if (!["string", "number", "boolean"].includes(typeof value)) {
+        return { error: "must be a string" };
+      }
+      const str = `${value}`;
+      if (schema.enum && !schema.enum.includes(str)) {
+        return { error: `must be one of ${schema.enum.join(", ")}` };
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(str)) {
+        return { error: `must match ${schema.pattern}` };
+      }
+      return { value: str };
+    }
+    case "integer": {
+      const num =
+        typeof value === "string" && /^\s*-?[0-9]+\s*$/.test(value)
+          ? parseInt(value, 10)
+          : value;
+      if (!Number.isInteger(num)) {
+        return { error: "must be an integer" };
+      }
+      if (schema.minimum !== undefined && num < schema.minimum) {
+        return { error: `must be at least ${schema.minimum}` };
+      }
+      if (schema.maximum !== undefined && num > schema.maximum) {
+        return { error: `must be at most ${schema.maximum}` };
+      }
+      return { value: num };
+    }
+    case "boolean": {
+      if ([true, "true", "1", 1].includes(value)) return { value: true };
+      if ([false, "false", "0", 0].includes(value)) return { value: false };
+      return { error: "must be a boolean" };
+    }
+    case "array": {
+      const list = Array.isArray(value) ? value : [value];
+      const items = list.map((e) => coerce(schema.items, e));
+      const bad = items.findIndex((e) => e.error);
+      if (bad >= 0) {
+        return { error: `item ${bad} ${items[bad].error}` };
+      }
+      return { value: items.map((e) => e.value) };
+    }
+    default:
+      return { value };
+  }
+}
+
+// body => {body} coerced with defaults, or {errors: [{field, error}]}
+function validateBody(schema, body) {
+  const result = { ...(body || {}) };
+  const errors = [];
+
+  Object.keys(schema.properties).forEach((field) => {
+    const fieldSchema = schema.properties[field];
+    if (isEmpty(result[field])) {
+      delete result[field];
+      if ((schema.required || []).includes(field)) {
+        errors.push({ field, error: "is required" });
+      } else if (fieldSchema.default !== undefined) {
+        result[field] = fieldSchema.default;
+      }
+      return;
+    }
+
+    const { value, error } = coerce(fieldSchema, result[field]);
+    if (error) {
+      errors.push({ field, error });
+    } else {
+      result[field] = value;
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { body: result };
+}
+
+// Body of a route in schemas.js => {body} coerced, or {err} with the fields
+function checkRequest(route, body) {
+  const result = validateBody(requestSchema(route), body);
+  if (!result.errors) return result;
+
+  // Only missing fields => PARAMS_MISSING, like the old checks
+  const { errors } = result;
+  const missing = errors.every((e) => e.error === "is required");
+  return apiError(
+    missing ? "PARAMS_MISSING" : "PARAMS_INVALID",
+    (missing ? "Missing params in " : "Bad params in ") +
+      `${route.replace(/^\/api/, "")}: ` +
+      errors.map((e) => `${e.field} ${e.error}`).join(", "),
+    { fields: errors }
+  );
+}
+
+module.exports = {
+  validateBody,
+  checkRequest
+};
@@ -0,0 +1,179 @@
+const { createHash, timingSafeEqual } = require("crypto");
+const {
+  isValidSalt,
+  MIN_TOKEN_PROOF_LENGTH,
+  MAX_TOKEN_PROOF_LENGTH,
+  legacyTokensAllowed,
+  getTimeToken,
+  getLegacyTimeToken,
+  getTimeEndedProof,
+  getLegacyTimeEndedProof,
+  getCancelProof,
+  getTempTimeToken,
+  getLegacyTempTimeToken,
+  getFastTempProof
+} = require("./crypto");
+const { hasKey, allKeyIds, untagKeyId } = require("./keyring");
+const clock = require("./clock");
+
+// All proofs we give out are checked here, never with plain ===
+
+// Same proof no matter how the client sent it:
+//    trimmed, url decoded (if it was) and lower case
+function normalizeProof(proof) {
+  let result = `${proof === undefined || proof === null ? "" : proof}`.trim();
+  if (/%[0-9a-f]{2}/i.test(result)) {
+    try {
+      result = decodeURIComponent(result);
+    } catch (e) {
+      // not url encoded after all
+    }
+  }
+  return result.toLowerCase();
+}
+
+function proofsEqual(expected, given) {
+  // Hash both so the compare time doesn't depend on length either
+  const a = createHash("sha256").update(normalizeProof(expected)).digest();
+  const b = createHash("sha256").update(normalizeProof(given)).digest();
+  return timingSafeEqual(a, b);
+}
+
+// "token2_k2:abc" -> {keyId: "2", body: "abc"}
+function splitProof(proof, prefix) {
+  return untagKeyId(
+    proof.startsWith(prefix) ? proof.substr(prefix.length) : ""
+  );
+}
+
+// Verify with the key the token was made with (maybe not the newest)
+function verifyTimeToken(salt, time_string, time_token, now = clock.now()) {
+  time_token = normalizeProof(time_token);
+  if (!isValidSalt(salt)) return false;
+
+  const prefix = ["token2_", "tokenat_"].find((e) => time_token.startsWith(e));
+  if (prefix) {
+    const { keyId, body } = splitProof(time_token, prefix);
+    return (
+      hasKey(keyId) &&
+      body.length >= MIN_TOKEN_PROOF_LENGTH &&
+      body.length <= MAX_TOKEN_PROOF_LENGTH &&
+      proofsEqual(
+        getTimeToken(salt, time_string, keyId, body.length),
+        time_token
+      )
+    );
+  }
+
+  const { keyId } = splitProof(time_token, "token_");
+  return (
+    legacyTokensAllowed(now) &&
+    hasKey(keyId) &&
+    proofsEqual(getLegacyTimeToken(salt, time_string, keyId), time_token)
+  );
+}
+
+// => {sec, since, nonce?} the wait before this window, or null if not valid
+function verifyTimeEndedProof(salt, timeStart, timeEnd, enc_data, proof) {
+  proof = normalizeProof(proof);
+
+  if (proof.startsWith("begintime2_")) {
+    const { keyId, body } = splitProof(proof, "begintime2_");
+    const match = body.match(/^([0-9]+)_([0-9]+)_(?:([0-9a-f]{32})_)?/);
+    if (!match || !hasKey(keyId)) return null;
+
+    const waited = {
+      sec: parseInt(match[1], 10),
+      since: new Date(parseInt(match[2], 10)),
+      ...(match[3] ? { nonce: match[3] } : {})
+    };
+    const expected = getTimeEndedProof(
+      salt,
+      timeStart,
+      timeEnd,
+      enc_data,
+      waited,
+      keyId
+    );
+    return proofsEqual(expected, proof) ? waited : null;
+  }
+
+  const { keyId } = splitProof(proof, "begintime_");
+  const valid =
+    hasKey(keyId) &&
+    proofsEqual(
+      getLegacyTimeEndedProof(salt, timeStart, timeEnd, enc_data, keyId),
+      proof
+    );
+  return valid ? { sec: 0, since: timeStart } : null;
+}
+
+function verifyCancelProof(proof, canceledAt, cancel_proof) {
+  cancel_proof = normalizeProof(cancel_proof);
+  const { keyId } = splitProof(cancel_proof, "cancel_");
+  return (
+    hasKey(keyId) &&
+    proofsEqual(
+      getCancelProof(normalizeProof(proof), canceledAt, keyId),
+      cancel_proof
+    )
+  );
+}
+
+function verifyTempTimeToken(time_string, salt, timeCreated, temp_token) {
+  temp_token = normalizeProof(temp_token);
+  const legacy = !temp_token.startsWith("temp2_");
+  const { keyId } = splitProof(temp_token, legacy ? "temp_" : "temp2_");
+  const makeToken = legacy ? getLegacyTempTimeToken : getTempTimeToken;
+  return (
+    hasKey(keyId) &&
+    proofsEqual(makeToken(time_string, salt, timeCreated, keyId), temp_token)
+  );
+}
+
+const fastCopyTempValidMin = 5;
+function verifyFastTempToken(
+  time_string,
+  salt,
+  minutediff,
+  fastproof,
+  now = clock.now()
+) {
+  let d = new Date(now);
+
+  // Fast proof has no key id (or format), so try every key both ways, and
+  //    don't stop on the first match so the time doesn't tell which one it was
+  let fastTempValid = false;
+  for (let i = 0; i < fastCopyTempValidMin; i++) {
+    allKeyIds().forEach((keyId) => {
+      [false, true].forEach((legacy) => {
+        let expected_proof = getFastTempProof(
+          time_string,
+          salt,
+          minutediff,
+          d,
+          keyId,
+          legacy
+        );
+
+        if (proofsEqual(expected_proof, fastproof)) {
+          fastTempValid = true;
+        }
+      });
+    });
+
+    d.setMinutes(d.getMinutes() - 1); // Go back 1 minute.
+  }
+
+  return fastTempValid;
+}
+
+module.exports = {
+  normalizeProof,
+  proofsEqual,
+  verifyTimeToken,
+  verifyTimeEndedProof,
+  verifyCancelProof,
+  verifyTempTimeToken,
+  verifyFastTempToken
+};
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createClock, withClock, now } = require("../src/clock");
+const {
+  devClockEnabled,
+  isDevAdmin,
+  runClockAction
+} = require("../src/dev-clock");
+
+const AT = Date.parse("2031-05-01T10:00:00Z");
+
+test("a clock can be frozen, moved and reset", async () => {
+  const clock = createClock();
+  clock.freeze(AT);
+  clock.advance(60 * 1000);
+  assert.strictEqual(clock.now(), AT + 60 * 1000);
+  assert.strictEqual(await withClock(clock, async () => now()), AT + 60 * 1000);
+
+  clock.unfreeze();
+  assert.ok(clock.now() >= AT + 60 * 1000);
+  assert.strictEqual(clock.reset().frozen, false);
+  assert.ok(Math.abs(clock.now() - Date.now()) < 1000);
+});
+
+test("dev clock actions, and only outside production", () => {
+  const clock = createClock();
+  assert.strictEqual(
+    runClockAction(clock, { action: "freeze", at: "2031-05-01T10:00:00Z" }).now,
+    AT
+  );
+  assert.strictEqual(
+    runClockAction(clock, { action: "advance", by: "1h" }).now,
+    AT + 60 * 60 * 1000
+  );
+  assert.strictEqual(
+    runClockAction(clock, { action: "advance", by: "5" }).code,
+    "TIME_INVALID"
+  );
+  assert.strictEqual(
+    runClockAction(clock, { action: "set" }).code,
+    "PARAMS_MISSING"
+  );
+
+  const env = { DEV_CLOCK_TOKEN: "0123456789abcdef0123" };
+  assert.strictEqual(devClockEnabled(env), true);
+  assert.strictEqual(isDevAdmin(`Bearer ${env.DEV_CLOCK_TOKEN}`, env), true);
+  assert.strictEqual(isDevAdmin("Bearer wrong", env), false);
+  assert.strictEqual(
+    devClockEnabled({ ...env, NODE_ENV: "production" }),
+    false
+  );
+  assert.strictEqual(devClockEnabled({ DEV_CLOCK_TOKEN: "short" }), false);
+});
@@ -0,0 +1,185 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { withKeyring, createKeyring } = require("../src/keyring");
+const crypto = require("../src/crypto");
+const { toSafeURL, fromSafeURL } = require("../src/utils");
+const {
+  KEY_1,
+  KEY_2,
+  START,
+  MINUTE,
+  setupTimelock,
+  lockedVault,
+  beginBody,
+  failsWith
+} = require("./helpers");
+
+// Runs fn with these keys, to make proofs like an older server did
+function withKeys(keys, fn) {
+  return withKeyring(createKeyring(keys), fn);
+}
+
+test("legacy tokens work until LEGACY_TOKENS_UNTIL", async (t) => {
+  const until = process.env.LEGACY_TOKENS_UNTIL;
+  t.after(() => {
+    if (until === undefined) delete process.env.LEGACY_TOKENS_UNTIL;
+    else process.env.LEGACY_TOKENS_UNTIL = until;
+  });
+  delete process.env.LEGACY_TOKENS_UNTIL;
+
+  const { timelock } = setupTimelock();
+  const {
+    tokens: [token]
+  } = await timelock.setup({ time: ["1h"], tokenformat: "legacy" });
+  assert.match(token.proof, /^token_k1:/);
+  const { enckey } = await timelock.encrypt({
+    pass: "my password",
+    salts: [token.salt],
+    tokens: [token.name]
+  });
+  const body = beginBody({ token, enckey: enckey[0] });
+  assert.ok((await timelock.begin(body)).proof);
+
+  process.env.LEGACY_TOKENS_UNTIL = new Date(START).toISOString();
+  await assert.rejects(timelock.begin(body), failsWith("TOKEN_INVALID"));
+  await assert.rejects(
+    timelock.setup({ time: ["1h"], tokenformat: "legacy" }),
+    failsWith("LEGACY_DISABLED")
+  );
+});
+
+test("one token for each time, whatever way it is written", async () => {
+  const { timelock } = setupTimelock();
+  const {
+    tokens: [a, b]
+  } = await timelock.setup({ time: ["60m", "1 hour"] });
+  assert.strictEqual(a.name, "1h");
+  assert.strictEqual(b.name, "1h");
+
+  const { enckey } = await timelock.encrypt({
+    pass: "my password",
+    salts: [a.salt],
+    tokens: [a.name]
+  });
+  const body = beginBody({ token: a, enckey: enckey[0] }, { token: "60m" });
+  assert.ok((await timelock.begin(body)).proof);
+});
+
+test("vaults and proofs from older servers still open", async () => {
+  const keys = { KEY: KEY_1 };
+  const { timelock, clock } = setupTimelock({ keys });
+  const salt = crypto.genSalt(true, START);
+  // Before enc2 envelopes and token names in the vault
+  const encrypted = withKeys(keys, () =>
+    crypto.encrypt(JSON.stringify({ pass: "old password", salt }))
+  );
+  const from = new Date(START + 60 * MINUTE);
+  const to = new Date(START + 75 * MINUTE);
+  const proof = withKeys(keys, () =>
+    crypto.getLegacyTimeEndedProof(salt, from, to, encrypted)
+  );
+
+  clock.set(from.getTime() + 1000);
+  const result = await timelock.finish({
+    enckey: toSafeURL(encrypted),
+    salt,
+    from: from.getTime(),
+    to: to.getTime(),
+    proof
+  });
+  assert.strictEqual(result.pass, "old password");
+});
+
+test("old begintime_ proofs don't skip the lock of newer vaults", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  const from = new Date(START);
+  const to = new Date(START + 15 * MINUTE);
+  const proof = withKeys({ KEYS: `1:${KEY_1}` }, () =>
+    crypto.getLegacyTimeEndedProof(
+      vault.token.salt,
+      from,
+      to,
+      fromSafeURL(vault.enckey)
+    )
+  );
+
+  clock.advance(MINUTE);
+  await assert.rejects(
+    timelock.finish({
+      enckey: vault.enckey,
+      salt: vault.token.salt,
+      from: from.getTime(),
+      to: to.getTime(),
+      proof
+    }),
+    failsWith("LOCK_TOO_SHORT")
+  );
+});
+
+test("legacy temp and fast proofs still work", async () => {
+  const keys = { KEYS: `1:${KEY_1}` };
+  const { timelock, clock } = setupTimelock({ keys });
+  const { token, enckey } = await lockedVault(timelock, "1h");
+  const vault = { token: token.name, salt: token.salt };
+  const tempproof = withKeys(keys, () =>
+    crypto.getLegacyTempTimeToken(token.name, token.salt, START)
+  );
+  assert.match(tempproof, /^temp_k1:/);
+
+  clock.advance(10 * MINUTE);
+  const fast = await timelock.temp.fastcopy({
+    ...vault,
+    from: START,
+    tempproof
+  });
+  assert.strictEqual(fast.mindiff, "0010");
+
+  const legacyFast = withKeys(keys, () =>
+    crypto.getFastTempProof(
+      token.name,
+      token.salt,
+      fast.mindiff,
+      new Date(clock.now()),
+      "1",
+      true
+    )
+  );
+  const window = await timelock.temp.unlock({
+    ...vault,
+    enckey,
+    mindiff: fast.mindiff,
+    fastproof: legacyFast
+  });
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({ enckey, salt: token.salt, ...window });
+  assert.strictEqual(result.pass, "my password");
+});
+
+test("rotated keys still verify what the old key made", async () => {
+  const old = setupTimelock({ keys: { KEYS: `1:${KEY_1}` } });
+  const vault = await lockedVault(old.timelock, "1h");
+  assert.match(vault.token.proof, /^token2_k1:/);
+
+  const { timelock, clock } = setupTimelock({
+    keys: { KEYS: `1:${KEY_1},2:${KEY_2}` }
+  });
+  const window = await timelock.begin(beginBody(vault));
+  assert.match(window.proof, /^begintime2_k2:/);
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({
+    enckey: vault.enckey,
+    salt: vault.token.salt,
+    ...window
+  });
+  assert.strictEqual(result.pass, "my password");
+
+  // Not once the old key is gone
+  const { timelock: dropped } = setupTimelock({
+    keys: { KEYS: `2:${KEY_2}` }
+  });
+  await assert.rejects(
+    dropped.begin(beginBody(vault)),
+    failsWith("TOKEN_INVALID")
+  );
+});
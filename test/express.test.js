@@ -0,0 +1,135 @@
+// Read when the server modules load, so before any of them
+process.env.KEYS = "1:Tq7Vb2Xn9Lm4Rk8Wd3Hz6Jc1Pf5Gs0Ya";
+process.env.LOG_REQUESTS = "0";
+process.env.DEV_CLOCK_TOKEN = "dev-clock-token-for-tests";
+delete process.env.NODE_ENV;
+delete process.env.STORAGE;
+delete process.env.ERROR_FORMAT;
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { serve } = require("./helpers");
+const { processClock } = require("../src/clock");
+const { app } = require("../src/express");
+
+const ADMIN = { authorization: `Bearer ${process.env.DEV_CLOCK_TOKEN}` };
+
+let server;
+before(async () => (server = await serve(app)));
+after(() => {
+  processClock.reset();
+  return server.close();
+});
+
+function post(path, body, headers = {}) {
+  return fetch(server.url + path, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body)
+  });
+}
+
+test("bodies that are not JSON are bad params, without a stack", async () => {
+  const resp = await post("/api/setup", '{"time": [');
+  assert.strictEqual(resp.status, 400);
+  const text = await resp.text();
+  assert.doesNotMatch(text, /node_modules|at \w+ \(/);
+  assert.strictEqual(JSON.parse(text).error.code, "PARAMS_INVALID");
+
+  const legacy = await post("/api/setup", "{", { "x-error-format": "legacy" });
+  assert.strictEqual(legacy.status, 400);
+  assert.ok((await legacy.json()).err);
+});
+
+test("unknown api routes are ROUTE_UNKNOWN", async () => {
+  const resp = await post("/api/nope", {});
+  assert.strictEqual(resp.status, 404);
+  assert.strictEqual((await resp.json()).error.code, "ROUTE_UNKNOWN");
+
+  const legacy = await post("/api/nope", {}, { "x-error-format": "legacy" });
+  assert.strictEqual(legacy.status, 404);
+  assert.match((await legacy.json()).err, /No such route/);
+
+  const health = await fetch(server.url + "/api/health");
+  assert.strictEqual(health.status, 200);
+  assert.match(await health.text(), /^OK \[express\]/);
+});
+
+test("a whole unlock over http, with the dev clock", async () => {
+  const setup = await (await post("/api/setup", { time: ["1h"] })).json();
+  const [{ name, salt, proof }] = setup.tokens;
+  const enc = await (
+    await post("/api/enc", { pass: "my password", salts: salt, tokens: name })
+  ).json();
+  const window = await (
+    await post("/api/unlock/begin", {
+      enckey: enc.enckey[0],
+      token: name,
+      salt,
+      tokenproof: proof,
+      offsetstartmin: 0,
+      duration: 15
+    })
+  ).json();
+  const finish = { enckey: enc.enckey[0], salt, ...window };
+
+  const early = await post("/api/unlock/finish", finish);
+  assert.strictEqual(early.status, 403);
+  const { error } = await early.json();
+  assert.strictEqual(error.version, 2);
+  assert.strictEqual(error.code, "WINDOW_NOT_OPEN");
+  assert.ok(error.details.secondsLeft > 3500);
+
+  const clock = await post(
+    "/api/dev/clock",
+    { action: "advance", by: "61m" },
+    ADMIN
+  );
+  assert.strictEqual((await clock.json()).frozen, false);
+  const resp = await post("/api/unlock/finish", finish);
+  assert.strictEqual(resp.status, 200);
+  assert.strictEqual((await resp.json()).pass, "my password");
+});
+
+test("dev clock needs the admin token", async () => {
+  for (const headers of [{}, { authorization: "Bearer wrong" }]) {
+    const resp = await post("/api/dev/clock", { action: "reset" }, headers);
+    assert.strictEqual(resp.status, 401);
+    assert.strictEqual((await resp.json()).error.code, "ADMIN_REQUIRED");
+  }
+  const resp = await fetch(server.url + "/api/dev/clock", { headers: ADMIN });
+  assert.strictEqual(resp.status, 200);
+  assert.ok((await resp.json()).offset > 0);
+});
+
+test("legacy errors are 200 {err} with the details next to it", async (t) => {
+  t.after(() => delete process.env.ERROR_FORMAT);
+  const body = { time: ["1h garbage"] };
+
+  const v2 = await post("/api/setup", body);
+  assert.strictEqual(v2.status, 400);
+  assert.strictEqual((await v2.json()).error.code, "TIME_INVALID");
+
+  const legacy = await post("/api/setup", body, { "x-error-format": "legacy" });
+  assert.strictEqual(legacy.status, 200);
+  assert.match((await legacy.json()).err, /Can't parse token time/);
+
+  process.env.ERROR_FORMAT = "legacy";
+  const everyone = await post("/api/setup", body);
+  assert.strictEqual(everyone.status, 200);
+  assert.ok((await everyone.json()).err);
+});
+
+// Last, it uses up the rest of the requests of this minute
+test("too many requests are 429 with Retry-After", async () => {
+  let resp;
+  for (let i = 0; i < 25; i++) {
+    resp = await fetch(server.url + "/api/health");
+    if (resp.status === 429) break;
+  }
+  assert.strictEqual(resp.status, 429);
+  assert.ok(parseInt(resp.headers.get("retry-after"), 10) > 0);
+  const { error } = await resp.json();
+  assert.strictEqual(error.code, "RATE_LIMITED");
+  assert.ok(error.details.retryAfterSec > 0);
+});
@@ -0,0 +1,78 @@
+const { createTimelock } = require("../src/core");
+const { createClock } = require("../src/clock");
+const { useStorage } = require("../src/storage");
+const { createMemoryStore } = require("../src/storage/memory");
+
+// Random looking, long enough for checkKeyring()
+const KEY_1 = "Zx8fLm2Pz7Rk4Vn1Tb6Hy3Wc9Gd5Js0Aq";
+const KEY_2 = "Pq3Wn8Lk5Rt2Yv7Bc4Xm9Hd6Fg1Js0Za";
+const START = Date.parse("2031-05-01T10:00:00Z");
+const MINUTE = 60 * 1000;
+
+// A timelock on a frozen clock, with its own keys and (if stateful) a fresh
+//    in process store => {timelock, clock}
+function setupTimelock({
+  keys = { KEYS: `1:${KEY_1}` },
+  stateful = true,
+  at = START
+} = {}) {
+  useStorage(stateful ? createMemoryStore() : null);
+  const clock = createClock();
+  clock.freeze(at);
+  return { timelock: createTimelock({ clock, keys }), clock };
+}
+
+// One token of `time` and a vault locked with it => {token, enckey}
+async function lockedVault(timelock, time = "1h", options = {}) {
+  const {
+    tokens: [token]
+  } = await timelock.setup({ time: [time] });
+  const { enckey } = await timelock.encrypt({
+    pass: "my password",
+    salts: [token.salt],
+    tokens: [token.name],
+    ...options
+  });
+  return { token, enckey: enckey[0] };
+}
+
+function beginBody({ token, enckey }, options = {}) {
+  return {
+    enckey,
+    token: token.name,
+    salt: token.salt,
+    tokenproof: token.proof,
+    offsetstartmin: 0,
+    duration: 15,
+    ...options
+  };
+}
+
+// Rejects with this TimelockError code
+function failsWith(code) {
+  return (e) => e.code === code;
+}
+
+// Express app on a free port => {url, close()}
+function serve(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done))
+      })
+    );
+  });
+}
+
+module.exports = {
+  KEY_1,
+  KEY_2,
+  START,
+  MINUTE,
+  setupTimelock,
+  lockedVault,
+  beginBody,
+  failsWith,
+  serve
+};
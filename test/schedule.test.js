@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  parseSchedule,
+  inSchedule,
+  fitWindowToSchedule
+} = require("../src/schedule");
+const { MINUTE, setupTimelock, lockedVault, beginBody } = require("./helpers");
+
+// First time in the schedule from `at` on, the slow way
+function scanForSlot(rules, at) {
+  if (inSchedule(rules, new Date(at))) return at;
+  let t = Math.ceil(at / MINUTE) * MINUTE;
+  for (let i = 0; i < 8 * 24 * 60; i++, t += MINUTE) {
+    if (inSchedule(rules, new Date(t))) return t;
+  }
+  return null;
+}
+
+test("windows move to the next slot and end with it", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h", {
+    schedule: "sat 22:00-02:00 America/New_York"
+  });
+  const window = await timelock.begin(beginBody(vault, { duration: 300 }));
+  // Sat 22:00 EDT to Sun 02:00 EDT
+  assert.strictEqual(window.from, Date.parse("2031-05-04T02:00:00Z"));
+  assert.strictEqual(window.to, Date.parse("2031-05-04T06:00:00Z"));
+
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({
+    enckey: vault.enckey,
+    salt: vault.token.salt,
+    ...window
+  });
+  assert.strictEqual(result.pass, "my password");
+});
+
+test("next slot is the same as scanning minute by minute", () => {
+  const schedules = [
+    "weekdays 18:00-22:00 Europe/Berlin",
+    "mon,wed-fri 18:00-22:00 Asia/Jerusalem; sat 22:00-02:00",
+    // 02:xx is skipped on the DST day
+    "daily 02:00-03:00 America/New_York",
+    "sun 23:59-00:01 Asia/Kolkata"
+  ];
+  const starts = [
+    "2031-03-08T12:00:00Z",
+    "2031-03-09T06:30:00Z",
+    "2031-10-25T23:59:30Z",
+    "2031-11-02T05:00:00Z"
+  ];
+  for (const text of schedules) {
+    const { rules } = parseSchedule(text);
+    for (const start of starts) {
+      const at = Date.parse(start);
+      const fit = fitWindowToSchedule(
+        rules,
+        new Date(at),
+        new Date(at + 15 * MINUTE)
+      );
+      assert.strictEqual(
+        fit.startTime.getTime(),
+        scanForSlot(rules, at),
+        `${text} from ${start}`
+      );
+    }
+  }
+});
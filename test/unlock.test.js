@@ -0,0 +1,243 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  MINUTE,
+  START,
+  setupTimelock,
+  lockedVault,
+  beginBody,
+  failsWith
+} = require("./helpers");
+
+test("finish only inside the unlock window", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  const window = await timelock.begin(beginBody(vault));
+  assert.strictEqual(window.from, START + 60 * MINUTE);
+  assert.strictEqual(window.to, START + 75 * MINUTE);
+
+  const finish = { enckey: vault.enckey, salt: vault.token.salt, ...window };
+  await assert.rejects(timelock.finish(finish), failsWith("WINDOW_NOT_OPEN"));
+  clock.set(window.from + 1000);
+  assert.strictEqual((await timelock.finish(finish)).pass, "my password");
+  clock.set(window.to);
+  await assert.rejects(timelock.finish(finish), failsWith("WINDOW_NOT_OPEN"));
+});
+
+test("begin waits for a min lock longer than the token", async () => {
+  for (const offsetstartmin of [0, 90, 600]) {
+    const { timelock, clock } = setupTimelock();
+    const vault = await lockedVault(timelock, "1h", { minlock: "2h" });
+    const window = await timelock.begin(beginBody(vault, { offsetstartmin }));
+    assert.ok(window.from >= START + 120 * MINUTE);
+
+    clock.set(window.from + 1000);
+    const result = await timelock.finish({
+      enckey: vault.enckey,
+      salt: vault.token.salt,
+      ...window
+    });
+    assert.strictEqual(result.pass, "my password");
+  }
+});
+
+test("bound token names are kept like /setup gives them", async () => {
+  const { timelock, clock } = setupTimelock();
+  const {
+    tokens: [token]
+  } = await timelock.setup({ time: ["1h"] });
+  for (const name of ["99999999y", "999y", "1s", "1h garbage"]) {
+    await assert.rejects(
+      timelock.encrypt({ pass: "x", salts: [token.salt], tokens: [name] }),
+      failsWith("TIME_INVALID"),
+      name
+    );
+  }
+
+  // Waits the whole second up, and the proof can still be finished
+  const { enckey } = await timelock.encrypt({
+    pass: "my password",
+    salts: [token.salt],
+    tokens: ["3600.5s"]
+  });
+  const window = await timelock.begin(beginBody({ token, enckey: enckey[0] }));
+  assert.strictEqual(window.from, START + 3601 * 1000);
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({
+    enckey: enckey[0],
+    salt: token.salt,
+    ...window
+  });
+  assert.strictEqual(result.pass, "my password");
+});
+
+test("temp unlock waits for the min lock from the temp proof", async () => {
+  const { timelock, clock } = setupTimelock();
+  const { token, enckey } = await lockedVault(timelock, "1h", {
+    minlock: "2h"
+  });
+  const vault = { token: token.name, salt: token.salt };
+  const temp = await timelock.temp.begin({ ...vault, tokenproof: token.proof });
+  clock.advance(10 * MINUTE);
+  const fast = await timelock.temp.fastcopy({ ...vault, ...temp });
+  const window = await timelock.temp.unlock({ ...vault, enckey, ...fast });
+  assert.strictEqual(window.from - temp.from, 120 * MINUTE);
+
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({ enckey, salt: token.salt, ...window });
+  assert.strictEqual(result.pass, "my password");
+});
+
+test("lock extend makes the next unlock wait longer", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  await assert.rejects(
+    timelock.extendLock({ enckey: vault.enckey, minlock: "garbage" }),
+    failsWith("TIME_INVALID")
+  );
+  await assert.rejects(
+    timelock.extendLock({ enckey: vault.enckey, minlock: "999y" }),
+    failsWith("TIME_INVALID")
+  );
+  await assert.rejects(
+    timelock.extendLock({ enckey: vault.enckey, minlock: "30m" }),
+    failsWith("LOCK_NOT_LONGER")
+  );
+  // A capsule would never wait for it
+  const { capsule } = await timelock.capsule.create({
+    pass: "sealed",
+    until: "2031-06-01"
+  });
+  await assert.rejects(
+    timelock.extendLock({ enckey: capsule, minlock: "2h" }),
+    failsWith("PARAMS_INVALID")
+  );
+
+  const { enckey } = await timelock.extendLock({
+    enckey: vault.enckey,
+    minlock: "3h"
+  });
+  const window = await timelock.begin(beginBody({ ...vault, enckey }));
+  assert.strictEqual(window.from, START + 180 * MINUTE);
+  clock.set(window.from + 1000);
+  const result = await timelock.finish({
+    enckey,
+    salt: vault.token.salt,
+    ...window
+  });
+  assert.strictEqual(result.pass, "my password");
+});
+
+test("single use proofs, for finish and rewrap", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  const {
+    tokens: [next]
+  } = await timelock.setup({ time: ["2h"] });
+  const window = await timelock.begin(beginBody(vault, { singleuse: true }));
+  assert.strictEqual(window.usesLeft, 1);
+  clock.set(window.from + 1000);
+
+  const rewrap = {
+    enckey: vault.enckey,
+    salt: vault.token.salt,
+    ...window,
+    salts: [next.salt],
+    tokens: [next.name]
+  };
+  // A bad new vault doesn't use up the proof
+  await assert.rejects(
+    timelock.rewrap({ ...rewrap, minlock: "garbage" }),
+    failsWith("TIME_INVALID")
+  );
+  const result = await timelock.rewrap(rewrap);
+  assert.strictEqual(result.usesLeft, 0);
+  assert.strictEqual(result.unlocks, 1);
+  await assert.rejects(timelock.rewrap(rewrap), failsWith("PROOF_USED"));
+});
+
+test("a failed hash step doesn't use up the proof", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  const {
+    encparts: [hashsecret]
+  } = await timelock.enchash({
+    pass: "my password",
+    hashparts: ["server part"]
+  });
+  const window = await timelock.begin(beginBody(vault, { singleuse: true }));
+  clock.set(window.from + 1000);
+
+  const step = {
+    enckey: vault.enckey,
+    salt: vault.token.salt,
+    ...window,
+    mode: "sha-step",
+    hashtype: "sha256"
+  };
+  await assert.rejects(
+    timelock.finish({ ...step, hashsecret: "garbage" }),
+    failsWith("DECRYPT_FAILED")
+  );
+  const result = await timelock.finish({ ...step, hashsecret });
+  assert.strictEqual(result.pass, "<hash-only>");
+  assert.ok(result.hashstep);
+  assert.strictEqual(result.unlocks, 1);
+  assert.strictEqual(result.usesLeft, 0);
+  await assert.rejects(
+    timelock.finish({ ...step, hashsecret }),
+    failsWith("PROOF_USED")
+  );
+});
+
+test("unlock policy counts for the vault, even with concurrent begins", async () => {
+  const { timelock, clock } = setupTimelock();
+  const { tokens } = await timelock.setup({ time: ["1h", "2h"] });
+  const { enckey } = await timelock.encrypt({
+    pass: "my password",
+    salts: tokens.map((e) => e.salt),
+    tokens: tokens.map((e) => e.name),
+    maxunlocks: 1,
+    per: "1d"
+  });
+  const body = (i) => beginBody({ token: tokens[i], enckey: enckey[i] });
+
+  const results = await Promise.allSettled(
+    [0, 0, 0, 0, 0].map((i) => timelock.begin(body(i)))
+  );
+  assert.strictEqual(results.filter((e) => e.status === "fulfilled").length, 1);
+  // The other token of the same /enc call too
+  await assert.rejects(timelock.begin(body(1)), failsWith("POLICY_LIMITED"));
+
+  clock.advance(24 * 60 * MINUTE);
+  assert.ok((await timelock.begin(body(1))).proof);
+});
+
+test("unlock policy rejects periods it can't parse", async () => {
+  const { timelock } = setupTimelock();
+  for (const policy of [{ per: "garbage" }, { mingap: "1h garbage" }]) {
+    await assert.rejects(
+      lockedVault(timelock, "1h", { maxunlocks: 1, ...policy }),
+      failsWith("POLICY_INVALID")
+    );
+  }
+});
+
+test("canceled windows can't be finished", async () => {
+  const { timelock, clock } = setupTimelock();
+  const vault = await lockedVault(timelock, "1h");
+  const window = await timelock.begin(beginBody(vault));
+  const finish = { enckey: vault.enckey, salt: vault.token.salt, ...window };
+
+  const receipt = await timelock.cancel(finish);
+  assert.strictEqual(receipt.revoked, true);
+  const { valid } = await timelock.checkCancel({
+    proof: window.proof,
+    canceled: receipt.canceled,
+    cancelproof: receipt.cancelproof
+  });
+  assert.strictEqual(valid, true);
+
+  clock.set(window.from + 1000);
+  await assert.rejects(timelock.finish(finish), failsWith("WINDOW_CANCELED"));
+});
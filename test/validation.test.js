@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseTimeStrict } = require("../src/utils");
+const {
+  MINUTE,
+  START,
+  setupTimelock,
+  lockedVault,
+  beginBody,
+  failsWith
+} = require("./helpers");
+
+test("token times must be one valid duration or date", async () => {
+  for (const time of ["1h garbage", "abc1m", "1h,", "", "5"]) {
+    assert.ok(parseTimeStrict(time).err, time);
+  }
+  assert.strictEqual(parseTimeStrict("1h 30m").sec, 90 * 60);
+
+  const { timelock } = setupTimelock({ stateful: false });
+  const bad = ["1h garbage", "999y", "until:0", "until:2020-01-01", "until:x"];
+  for (const time of bad) {
+    await assert.rejects(
+      timelock.setup({ time: [time] }),
+      failsWith("TIME_INVALID"),
+      time
+    );
+  }
+  const {
+    tokens: [token]
+  } = await timelock.setup({ time: ["until:2031-06-01"] });
+  assert.match(token.proof, /^tokenat_/);
+});
+
+test("numbers out of range are bad params", async () => {
+  const { timelock } = setupTimelock({ stateful: false });
+  const vault = await lockedVault(timelock, "1h");
+  for (const field of ["duration", "offsetstartmin"]) {
+    await assert.rejects(
+      timelock.begin(beginBody(vault, { [field]: 1e20 })),
+      failsWith("PARAMS_INVALID"),
+      field
+    );
+  }
+  await assert.rejects(
+    timelock.finish({
+      enckey: vault.enckey,
+      salt: vault.token.salt,
+      from: 1e20,
+      to: 1e20,
+      proof: "begintime_x"
+    }),
+    failsWith("PARAMS_INVALID")
+  );
+});
+
+test("capsules open at their date, within the token limits", async () => {
+  const { timelock, clock } = setupTimelock({ stateful: false });
+  for (const until of [
+    "1e20",
+    "garbage",
+    `${START + 400 * 24 * 60 * MINUTE}`
+  ]) {
+    await assert.rejects(
+      timelock.capsule.create({ pass: "sealed", until }),
+      failsWith("DATE_INVALID"),
+      until
+    );
+  }
+
+  const { capsule } = await timelock.capsule.create({
+    pass: "sealed",
+    until: "2031-06-01"
+  });
+  await assert.rejects(
+    timelock.capsule.open({ capsule }),
+    failsWith("CAPSULE_SEALED")
+  );
+  clock.set(Date.parse("2031-06-01"));
+  assert.strictEqual((await timelock.capsule.open({ capsule })).pass, "sealed");
+});
+
+test("bad hash params are the caller's fault", async () => {
+  const { timelock, clock } = setupTimelock({ stateful: false });
+  const vault = await lockedVault(timelock, "1h");
+  const window = await timelock.begin(beginBody(vault));
+  clock.set(window.from + 1000);
+  const finish = { enckey: vault.enckey, salt: vault.token.salt, ...window };
+
+  await assert.rejects(
+    timelock.finish({
+      ...finish,
+      mode: "otp-step",
+      hashtype: "sha256",
+      hashextra: "notjson"
+    }),
+    failsWith("PARAMS_INVALID")
+  );
+  await assert.rejects(
+    timelock.finish({
+      ...finish,
+      mode: "sha-step",
+      hashtype: "sha256",
+      hashsecret: "garbage"
+    }),
+    failsWith("DECRYPT_FAILED")
+  );
+});
+
+test("unknown routes are rejected", async () => {
+  const { timelock } = setupTimelock({ stateful: false });
+  await assert.rejects(
+    timelock.run("/api/nope", {}),
+    failsWith("ROUTE_UNKNOWN")
+  );
+});